@@ -0,0 +1,196 @@
+const path = require('path');
+const { EMPTY_DELETIONS, buildPermissionCommands, buildDirectoryAttributesCommand, buildMappingsBatch } = require('./batch');
+const { runBatchWithRetries } = require('./retry');
+const { shellQuote, tempFilePath, runSftpBatch, runSshScript } = require('./sftp');
+
+const TRANSFER_MODES = ['files', 'archive'];
+
+// Printed by the probe script only when the server gave us a usable shell
+const ARCHIVE_SUPPORT_MARKER = 'deploy-archive-supported';
+
+/**
+ * Remote paths used while unpacking into `remoteDir`: the uploaded archive
+ * and the staging directory it is extracted to. Both are hidden entries in
+ * the target itself, the one place the deploy can be sure to write to, and
+ * on the same filesystem, so moving files into place is a rename.
+ */
+function archivePathsFor(remoteDir) {
+    return {
+        archive: path.posix.join(remoteDir, '.deploy-archive.tar.gz'),
+        staging: path.posix.join(remoteDir, '.deploy-staging')
+    };
+}
+
+/**
+ * Shell script that extracts the uploaded archive into a fresh staging
+ * directory and then moves every file into `targetDir`, one rename at a
+ * time. Files already in the target that are not part of the archive are
+ * left alone, as in per-file mode. The archive and the staging directory
+ * are removed however the script ends. tar keeps modification times; with
+ * `preserve` it also keeps the archived modes instead of applying the
+ * server's umask.
+ */
+function buildExtractScript(archivePath, stagingDir, targetDir, { preserve = false } = {}) {
+    return [
+        'set -e',
+        `archive=${shellQuote(archivePath)}`,
+        `staging=${shellQuote(stagingDir)}`,
+        `target=${shellQuote(targetDir)}`,
+        'start=$(pwd)',
+        'trap \'cd "$start"; rm -f "$archive"; rm -rf "$staging"\' EXIT',
+        'rm -rf "$staging"',
+        'mkdir -p "$staging" "$target"',
+        `tar -xz${preserve ? 'p' : ''}f "$archive" -C "$staging"`,
+        'rm -f "$archive"',
+        'target=$(cd "$target" && pwd)',
+        'cd "$staging"',
+        'find . -type d -exec sh -c \'for d; do mkdir -p "$0/$d"; done\' "$target" {} +',
+        'find . ! -type d -exec sh -c \'for f; do mv -f "$f" "$0/$f"; done\' "$target" {} +',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Whether the server lets us run tar over an ssh exec channel. Accounts
+ * restricted to `internal-sftp` (ForceCommand or a chroot without a shell)
+ * refuse the exec request or lack the tools.
+ */
+async function supportsArchiveTransfer(connection, dependencies) {
+    const result = await runSshScript(connection, `command -v tar >/dev/null && command -v find >/dev/null && echo ${ARCHIVE_SUPPORT_MARKER}\n`, dependencies);
+    return result.exitCode === 0 && result.stdout.includes(ARCHIVE_SUPPORT_MARKER);
+}
+
+async function createArchive(archivePath, section, dependencies) {
+    const { execModule, fsModule } = dependencies;
+    const listPath = `${archivePath}.list`;
+
+    // Directories are listed explicitly (for empty ones) but not recursed into, so filtered files stay out
+    const entries = [...section.tree.directories, ...section.tree.files.map((file) => file.relativePath)];
+    await fsModule.promises.writeFile(listPath, entries.join('\n') + '\n');
+    try {
+        await execModule.exec('tar', ['--no-recursion', '-czf', archivePath, '-C', section.sourceDir, '-T', listPath]);
+    } finally {
+        try {
+            await fsModule.promises.unlink(listPath);
+        } catch (err) {
+            console.warn('Error deleting archive file list:', err);
+        }
+    }
+}
+
+async function removeRemoteArchive(connection, remoteArchive, dependencies) {
+    // The leading dash keeps the batch from failing when the upload never created it
+    const result = await runSftpBatch(connection, 'sftp_archive_batch', `-rm "${remoteArchive}"\n`, dependencies);
+    if (result.exitCode !== 0) {
+        console.warn(`Error deleting remote archive ${remoteArchive}:`, result.stderr);
+    }
+}
+
+async function unpackSectionArchive(connection, section, index, dependencies) {
+    const { fsModule } = dependencies;
+    const localArchive = tempFilePath(connection, `deploy_archive_${index + 1}.tar.gz`, dependencies);
+    const remote = archivePathsFor(section.remoteDir);
+
+    console.log(`Packing ${section.tree.files.length} files from ${section.sourceDir}...`);
+    await createArchive(localArchive, section, dependencies);
+    // A successful extraction removes the archive itself; anything short of that leaves it behind
+    let extracted = false;
+    try {
+        const parents = [...(section.options.parents || []), section.remoteDir].map((parent) => `-mkdir ${parent}\n`).join('');
+        const upload = await runSftpBatch(connection, 'sftp_archive_batch', `${parents}put "${localArchive}" "${remote.archive}"\n`, dependencies);
+        if (upload.exitCode !== 0) {
+            throw new Error(`Failed to upload archive to ${remote.archive}: ${upload.stderr}`);
+        }
+
+        console.log(`Extracting archive into ${section.remoteDir} through ${remote.staging}...`);
+        const preserve = section.tree.files.some((file) => file.preserve);
+        const extract = await runSshScript(connection, buildExtractScript(remote.archive, remote.staging, section.remoteDir, { preserve }), dependencies);
+        if (extract.exitCode !== 0) {
+            throw new Error(`Failed to extract archive into ${section.remoteDir}: ${extract.stderr}`);
+        }
+        extracted = true;
+    } finally {
+        try {
+            await fsModule.promises.unlink(localArchive);
+        } catch (err) {
+            console.warn('Error deleting local archive:', err);
+        }
+        if (!extracted) {
+            await removeRemoteArchive(connection, remote.archive, dependencies);
+        }
+    }
+}
+
+async function applySectionAttributes(connection, section, dependencies) {
+    // Moving files into place changed the directories, so their attributes are set afterwards
+    const attributeCommands = [
+        ...section.tree.files.map((file) => buildPermissionCommands(file.relativePath, file)),
+        ...(section.options.directoryAttributes || []).map(buildDirectoryAttributesCommand),
+        ...(section.options.directoryPermissions || []).map((directory) => buildPermissionCommands(directory.path, directory))
+    ].join('');
+    if (attributeCommands) {
+        const result = await runSftpBatch(connection, 'sftp_archive_batch', `cd ${section.remoteDir}\n${attributeCommands}`, dependencies);
+        if (result.exitCode !== 0) {
+            throw new Error(`Failed to apply permissions in ${section.remoteDir}: ${result.stderr}`);
+        }
+    }
+}
+
+async function transferSectionFiles(connection, section, retryOptions, dependencies) {
+    // Deletions still run last, for every section at once
+    const fileSections = [{ ...section, options: { ...section.options, deletions: EMPTY_DELETIONS } }];
+    const runBatch = (batchFileContent) => runSftpBatch(connection, 'sftp_archive_fallback_batch', batchFileContent, dependencies);
+    const result = await runBatchWithRetries(connection, fileSections, runBatch, {
+        ...retryOptions,
+        label: 'per-file transfer',
+        batchName: 'sftp_archive_fallback_batch'
+    }, dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to upload files to ${section.remoteDir}: ${result.stderr}`);
+    }
+}
+
+/**
+ * Transfer the sections of a mappings batch as one tar.gz archive per
+ * section, extracted on the server, followed by the permission rules of
+ * the section. A section whose archive cannot be uploaded or extracted
+ * (a full disk, a missing tool, a dropped connection) is transferred file
+ * by file instead, with `retryOptions` as in per-file mode. Mirror
+ * deletions run afterwards in a single SFTP session.
+ */
+async function runArchiveTransfer(connection, sections, dependencies, retryOptions = {}) {
+    for (const [index, section] of sections.entries()) {
+        if (section.tree.files.length === 0 && section.tree.directories.length === 0) {
+            continue;
+        }
+        try {
+            await unpackSectionArchive(connection, section, index, dependencies);
+        } catch (error) {
+            console.warn(`${error.message.trim()}, falling back to per-file transfer`);
+            await transferSectionFiles(connection, section, retryOptions, dependencies);
+            continue;
+        }
+        await applySectionAttributes(connection, section, dependencies);
+    }
+
+    const deletionSections = sections.filter(({ options: { deletions } }) => deletions && (deletions.files.length > 0 || deletions.directories.length > 0));
+    if (deletionSections.length > 0) {
+        console.log('Deleting orphaned files...');
+        const result = await runSftpBatch(connection, 'sftp_batch_deletions', buildMappingsBatch(deletionSections.map((section) => ({
+            remoteDir: section.remoteDir,
+            tree: { directories: [], files: [] },
+            options: { deletions: section.options.deletions }
+        }))), dependencies);
+        if (result.exitCode !== 0) {
+            throw new Error(`Failed to delete orphaned files: ${result.stderr}`);
+        }
+    }
+}
+
+module.exports = {
+    TRANSFER_MODES,
+    archivePathsFor,
+    buildExtractScript,
+    supportsArchiveTransfer,
+    runArchiveTransfer
+};
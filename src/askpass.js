@@ -0,0 +1,60 @@
+// The helper only prints this variable, so the secret itself never touches the disk
+const ASKPASS_SECRET_VARIABLE = 'DEPLOY_ASKPASS_SECRET';
+
+/**
+ * With `once`, only the first prompt is answered and later ones fail: the
+ * helper leaves a marker file next to itself. ssh-add asks again after a
+ * wrong passphrase until it gets an empty answer, so it would otherwise
+ * never return.
+ */
+function buildAskpassScript({ once = false } = {}) {
+    return [
+        '#!/bin/sh',
+        ...(once ? ['[ -e "$0.answered" ] && exit 1', ': > "$0.answered"'] : []),
+        `printf '%s\\n' "$${ASKPASS_SECRET_VARIABLE}"`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Write an `SSH_ASKPASS` helper that answers every prompt of ssh, ssh-add
+ * or sftp (password, keyboard-interactive, key passphrase) with a secret,
+ * and return the environment variables that make them use it with that
+ * secret. The helper reads the secret from the environment rather than
+ * holding it.
+ *
+ * `SSH_ASKPASS_REQUIRE=force` makes OpenSSH 8.4+ use the helper even with
+ * a terminal attached; older versions use it when `DISPLAY` is set and no
+ * terminal is.
+ */
+async function createAskpass(secret, helperPath, { once = false }, { fsModule, processEnv = process.env }) {
+    await fsModule.promises.writeFile(helperPath, buildAskpassScript({ once }), { mode: 0o700 });
+    return {
+        SSH_ASKPASS: helperPath,
+        SSH_ASKPASS_REQUIRE: 'force',
+        DISPLAY: processEnv.DISPLAY || ':0',
+        [ASKPASS_SECRET_VARIABLE]: secret
+    };
+}
+
+/**
+ * Delete a helper written by `createAskpass`, along with its marker file.
+ */
+async function removeAskpass(helperPath, { fsModule }) {
+    for (const filePath of [helperPath, `${helperPath}.answered`]) {
+        try {
+            await fsModule.promises.unlink(filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`Error deleting ${filePath}:`, err);
+            }
+        }
+    }
+}
+
+module.exports = {
+    ASKPASS_SECRET_VARIABLE,
+    buildAskpassScript,
+    createAskpass,
+    removeAskpass
+};
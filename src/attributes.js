@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an empty local stand-in for every source directory, carrying the
+ * directory's mode and modification time and named like the directory.
+ *
+ * The sftp client only sets directory attributes through a recursive
+ * `put -rp`, which creates the remote directory if needed and then copies
+ * the attributes of the local one. Uploading an empty stand-in that way
+ * copies the attributes without sending any content again (see
+ * `buildDirectoryAttributesCommand`).
+ *
+ * Returns `{ path, stampPath }` entries, deepest directory first.
+ */
+function createDirectoryStamps(sourceDir, directories, stampRoot, { fsModule = fs, pathModule = path } = {}) {
+    return [...directories].reverse().map((directory, index) => {
+        const stats = fsModule.statSync(pathModule.join(sourceDir, directory));
+        const stampPath = pathModule.join(stampRoot, String(index + 1), directory.split('/').pop());
+
+        fsModule.mkdirSync(stampPath, { recursive: true });
+        fsModule.chmodSync(stampPath, stats.mode & 0o7777);
+        fsModule.utimesSync(stampPath, stats.atime, stats.mtime);
+        return { path: directory, stampPath };
+    });
+}
+
+function removeDirectoryStamps(stampRoot, { fsModule = fs } = {}) {
+    try {
+        fsModule.rmSync(stampRoot, { recursive: true, force: true });
+    } catch (err) {
+        console.warn(`Error deleting directory stamps ${stampRoot}:`, err);
+    }
+}
+
+module.exports = {
+    createDirectoryStamps,
+    removeDirectoryStamps
+};
@@ -0,0 +1,176 @@
+const path = require('path');
+const { ancestorsOf } = require('./files');
+const { joinRemotePath } = require('./remote');
+const { shellQuote, runSftpBatch, runSshScript } = require('./sftp');
+
+const BACKUP_MODES = ['none', 'local', 'remote'];
+const BACKUPS_DIR = 'backups';
+
+/**
+ * Name of this run's backup directory: a UTC timestamp such as
+ * `20240301T120000Z`, shared by every host of the run.
+ */
+function backupName(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * Remote backups go to `backups/<name>` next to the live directory, outside
+ * of it so they are neither served nor touched by mirror deletions.
+ */
+function remoteBackupPathFor(liveDir, name) {
+    const parent = path.posix.dirname(liveDir.replace(/\/+$/, '') || '/');
+    return parent === '.' ? `${BACKUPS_DIR}/${name}` : path.posix.join(parent, BACKUPS_DIR, name);
+}
+
+/**
+ * Remote files a transfer is about to overwrite or delete, each with its
+ * section's remote directory and the path it gets inside the backup. With
+ * a single section the backup mirrors the remote directory; with several,
+ * paths are prefixed with each section's remote directory so they cannot
+ * collide.
+ */
+function backupEntries(sections) {
+    const nested = sections.length > 1;
+    return sections.flatMap((section) => {
+        const deletions = section.options.deletions || { files: [] };
+        const prefix = section.remoteDir.replace(/^\/+|\/+$/g, '');
+        return [...section.tree.files.map((file) => file.relativePath), ...deletions.files].map((relativePath) => ({
+            remoteDir: section.remoteDir,
+            relativePath,
+            remotePath: joinRemotePath(section.remoteDir, relativePath),
+            backupPath: nested && prefix ? `${prefix}/${relativePath}` : relativePath
+        }));
+    });
+}
+
+/**
+ * Shell script copying the entries that exist on the server into
+ * `backupDir`, keeping their modes and times. Symlinks are copied as links.
+ */
+function buildBackupScript(backupDir, entries) {
+    return [
+        'set -e',
+        `backup=${shellQuote(backupDir)}`,
+        'copy() {',
+        '    if [ -e "$1" ] || [ -L "$1" ]; then',
+        '        mkdir -p "$(dirname "$2")"',
+        '        cp -pP "$1" "$2"',
+        '    fi',
+        '}',
+        'mkdir -p "$backup"',
+        ...entries.map((entry) => `copy ${shellQuote(entry.remotePath)} "$backup"/${shellQuote(entry.backupPath)}`),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Shell script putting the backed up files back in place. Files missing
+ * from the backup did not exist before the deploy, so they are removed.
+ */
+function buildRestoreScript(backupDir, entries) {
+    return [
+        'set -e',
+        `backup=${shellQuote(backupDir)}`,
+        'restore() {',
+        '    if [ -e "$backup/$2" ] || [ -L "$backup/$2" ]; then',
+        '        mkdir -p "$(dirname "$1")"',
+        '        rm -f "$1"',
+        '        cp -pP "$backup/$2" "$1"',
+        '    else',
+        '        rm -f "$1"',
+        '    fi',
+        '}',
+        ...entries.map((entry) => `restore ${shellQuote(entry.remotePath)} ${shellQuote(entry.backupPath)}`),
+        ''
+    ].join('\n');
+}
+
+async function backupToLocal(connection, entries, backupDir, dependencies) {
+    const { fsModule, pathModule } = dependencies;
+
+    // sftp does not create local directories, and files missing on the server are skipped
+    const directories = new Set([backupDir]);
+    const batchFileContent = entries.map((entry) => {
+        const localPath = pathModule.join(backupDir, entry.backupPath);
+        const parent = entry.backupPath.split('/').slice(0, -1).join('/');
+        directories.add(parent ? pathModule.join(backupDir, parent) : backupDir);
+        return `-get -p "${entry.remotePath}" "${localPath}"\n`;
+    }).join('');
+    directories.forEach((directory) => fsModule.mkdirSync(directory, { recursive: true }));
+
+    return runSftpBatch(connection, 'sftp_backup_batch', batchFileContent, dependencies);
+}
+
+async function backupToRemote(connection, entries, backupDir, dependencies) {
+    return runSshScript(connection, buildBackupScript(backupDir, entries), dependencies);
+}
+
+async function restoreFromLocal(connection, entries, backupDir, dependencies) {
+    const { fsModule, pathModule } = dependencies;
+
+    const backedUp = new Set(entries.filter((entry) => fsModule.existsSync(pathModule.join(backupDir, entry.backupPath))));
+    // Orphan directories may have been deleted along with the files they held
+    const directories = new Set([...backedUp].flatMap((entry) => ancestorsOf(entry.relativePath)
+        .map((directory) => joinRemotePath(entry.remoteDir, directory))));
+    const batchFileContent = [
+        ...[...directories].map((directory) => `-mkdir "${directory}"\n`),
+        ...entries.map((entry) => (backedUp.has(entry)
+            ? `put -p "${pathModule.join(backupDir, entry.backupPath)}" "${entry.remotePath}"\n`
+            : `-rm "${entry.remotePath}"\n`))
+    ].join('');
+
+    return runSftpBatch(connection, 'sftp_backup_batch', batchFileContent, dependencies);
+}
+
+/**
+ * Save the remote files the upload of `sections` would overwrite or delete
+ * to `backupDir`: downloaded to a local directory (`local`) or copied on the
+ * server (`remote`, which needs a shell). Files that do not exist on the
+ * server yet are skipped. Throws when the backup fails, so nothing is
+ * overwritten without a copy.
+ */
+async function backupRemoteFiles(connection, sections, { mode, backupDir }, dependencies) {
+    const entries = backupEntries(sections);
+    if (entries.length === 0) {
+        console.log('Nothing on the server will be overwritten or deleted, no backup needed');
+        return;
+    }
+
+    console.log(`Backing up up to ${entries.length} remote files to ${mode === 'local' ? 'local directory' : 'remote directory'} ${backupDir}...`);
+    const result = mode === 'local'
+        ? await backupToLocal(connection, entries, backupDir, dependencies)
+        : await backupToRemote(connection, entries, backupDir, dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to back up remote files to ${backupDir}: ${result.stderr}`);
+    }
+    console.log('Backup completed');
+}
+
+/**
+ * Undo the upload of `sections` from the backup `backupRemoteFiles` made
+ * of them: every backed up file is put back and the files the upload
+ * created are removed. New directories are left in place.
+ */
+async function restoreBackup(connection, sections, { mode, backupDir }, dependencies) {
+    const entries = backupEntries(sections);
+    console.log(`Restoring ${entries.length} remote files from ${backupDir}...`);
+    const result = mode === 'local'
+        ? await restoreFromLocal(connection, entries, backupDir, dependencies)
+        : await runSshScript(connection, buildRestoreScript(backupDir, entries), dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to restore remote files from ${backupDir}: ${result.stderr}`);
+    }
+    console.log('Backup restored');
+}
+
+module.exports = {
+    BACKUP_MODES,
+    backupName,
+    remoteBackupPathFor,
+    backupEntries,
+    buildBackupScript,
+    buildRestoreScript,
+    backupRemoteFiles,
+    restoreBackup
+};
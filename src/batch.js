@@ -0,0 +1,143 @@
+const path = require('path');
+
+// Mirror mode's deletions when there are none; shared, so never modify it
+const EMPTY_DELETIONS = { files: [], directories: [] };
+
+/**
+ * Upload command for one file. Files flagged with `resume` (partially
+ * written by an interrupted attempt) are continued with `reput` instead of
+ * being sent again from the start, and files flagged with `preserve` keep
+ * their local modification time and mode (`-p`).
+ */
+function buildPutCommand(file) {
+    return `${file.resume ? 'reput' : 'put'}${file.preserve ? ' -p' : ''} "${file.localPath}" "${file.relativePath}"`;
+}
+
+/**
+ * `chmod`/`chgrp` commands for a path annotated with a `mode` and/or a
+ * numeric `group` by the permission rules. Empty when neither is set.
+ */
+function buildPermissionCommands(remotePath, { mode, group } = {}) {
+    let content = '';
+    if (mode) {
+        content += `chmod ${mode} "${remotePath}"\n`;
+    }
+    if (group) {
+        content += `chgrp ${group} "${remotePath}"\n`;
+    }
+    return content;
+}
+
+/**
+ * Copy the attributes of a directory's local stand-in (see
+ * `createDirectoryStamps`) onto it. The stand-in has the directory's own
+ * name and is uploaded into its parent: `put` into an existing directory
+ * appends the source name, so targeting the directory itself would create
+ * the stand-in inside it.
+ */
+function buildDirectoryAttributesCommand({ path: directory, stampPath }) {
+    return `put -rp "${stampPath}" "${path.posix.dirname(directory)}"\n`;
+}
+
+/**
+ * Build the SFTP batch file that uploads a walked source tree.
+ *
+ * Each directory level gets its own `-mkdir` (the leading dash tells sftp to
+ * ignore the error when it already exists) and each file gets an individual
+ * `put`, which is more reliable than `put -r` for some SFTP implementations.
+ *
+ * `parents` are created before the remote directory itself, for targets
+ * nested below directories that may not exist yet (release mode).
+ * `deletions` (from mirror mode) are removed only after every upload went
+ * through, files first and then directories, deepest first.
+ *
+ * Files annotated with permissions get their `chmod`/`chgrp` right after
+ * their `put`. Directory attributes (`directoryAttributes`, see
+ * `createDirectoryStamps`) and then `directoryPermissions` are applied
+ * last, once nothing below them will change any more, so the preserved
+ * modification times stick and a restrictive directory mode cannot get in
+ * the way of writing below it.
+ */
+function buildUploadBatch(remoteDir, tree, options = {}) {
+    const {
+        parents = [],
+        deletions = EMPTY_DELETIONS,
+        directoryAttributes = [],
+        directoryPermissions = []
+    } = options;
+    let content = '';
+    for (const parent of parents) {
+        content += `-mkdir ${parent}\n`;
+    }
+
+    // Ensure the remote directory exists first
+    content += `-mkdir ${remoteDir}\n`;
+    content += `cd ${remoteDir}\n`;
+
+    for (const directory of tree.directories) {
+        content += `-mkdir "${directory}"\n`;
+    }
+
+    for (const file of tree.files) {
+        content += `${buildPutCommand(file)}\n`;
+        content += buildPermissionCommands(file.relativePath, file);
+    }
+
+    for (const file of deletions.files) {
+        content += `rm "${file}"\n`;
+    }
+
+    for (const directory of deletions.directories) {
+        content += `rmdir "${directory}"\n`;
+    }
+
+    for (const directory of directoryAttributes) {
+        content += buildDirectoryAttributesCommand(directory);
+    }
+
+    for (const directory of directoryPermissions) {
+        content += buildPermissionCommands(directory.path, directory);
+    }
+
+    return content;
+}
+
+/**
+ * `cd` back to where the session started after a section that changed into
+ * a relative remote directory. Absolute directories need nothing.
+ */
+function buildReturnCommand(remoteDir) {
+    if (remoteDir.startsWith('/')) {
+        return '';
+    }
+
+    const segments = path.posix.normalize(remoteDir).split('/').filter((segment) => segment && segment !== '.');
+    if (segments.includes('..')) {
+        throw new Error(`Cannot combine remote directory "${remoteDir}" with other mappings: it leaves the login directory`);
+    }
+    return segments.length > 0 ? `cd ${segments.map(() => '..').join('/')}\n` : '';
+}
+
+/**
+ * Concatenate the upload batches of several mappings so they all run in one
+ * session. Each section is built by `buildUploadBatch` from
+ * `{ remoteDir, tree, options }`.
+ */
+function buildMappingsBatch(sections) {
+    return sections
+        .map(({ remoteDir, tree, options }, index) => {
+            const content = buildUploadBatch(remoteDir, tree, options);
+            return index < sections.length - 1 ? content + buildReturnCommand(remoteDir) : content;
+        })
+        .join('');
+}
+
+module.exports = {
+    EMPTY_DELETIONS,
+    buildPutCommand,
+    buildDirectoryAttributesCommand,
+    buildPermissionCommands,
+    buildUploadBatch,
+    buildReturnCommand,
+    buildMappingsBatch
+};
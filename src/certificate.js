@@ -0,0 +1,115 @@
+const { fingerprintKey } = require('./hostkeys');
+const { createReader, sshString } = require('./wire');
+
+// type-cert-v01@openssh.com base64-certificate [comment]
+const CERTIFICATE_PATTERN = /^(\S+-cert-v01@openssh\.com)\s+([A-Za-z0-9+/]+={0,2})(?:\s.*)?$/;
+
+// Public key fields between the nonce and the serial, per certificate type (RFC 4253 strings and mpints)
+const PUBLIC_KEY_FIELDS = {
+    'ssh-rsa-cert-v01@openssh.com': 2,
+    'ssh-dss-cert-v01@openssh.com': 4,
+    'ecdsa-sha2-nistp256-cert-v01@openssh.com': 2,
+    'ecdsa-sha2-nistp384-cert-v01@openssh.com': 2,
+    'ecdsa-sha2-nistp521-cert-v01@openssh.com': 2,
+    'ssh-ed25519-cert-v01@openssh.com': 1,
+    'sk-ecdsa-sha2-nistp256-cert-v01@openssh.com': 3,
+    'sk-ssh-ed25519-cert-v01@openssh.com': 2
+};
+
+const CERTIFICATE_TYPES = { 1: 'user', 2: 'host' };
+const FOREVER = 0xffffffffffffffffn;
+
+function readStrings(buffer) {
+    const reader = createReader(buffer, 'Invalid certificate');
+    const strings = [];
+    let remaining = buffer.length;
+    while (remaining > 0) {
+        const value = reader.string();
+        strings.push(value.toString());
+        remaining -= 4 + value.length;
+    }
+    return strings;
+}
+
+function toDate(seconds) {
+    return new Date(Number(seconds) * 1000);
+}
+
+/**
+ * Parse an OpenSSH certificate (the contents of a `-cert.pub` file) into
+ * what matters before using it: `certificateType` (`user` or `host`),
+ * `keyId`, `serial`, `principals`, the `validAfter`/`validBefore` dates
+ * (null when the certificate has no such bound) and the `fingerprint` of
+ * the certified key.
+ */
+function parseCertificate(input) {
+    const match = (input || '').trim().match(CERTIFICATE_PATTERN);
+    if (!match || !PUBLIC_KEY_FIELDS[match[1]]) {
+        throw new Error('Invalid certificate: expected an OpenSSH certificate such as "ssh-ed25519-cert-v01@openssh.com AAAA..." (the -cert.pub file)');
+    }
+    const [, type, data] = match;
+
+    const reader = createReader(Buffer.from(data, 'base64'), 'Invalid certificate');
+    if (reader.string().toString() !== type) {
+        throw new Error(`Invalid certificate: the data does not match its type ${type}`);
+    }
+    reader.string(); // nonce
+    const keyFields = Array.from({ length: PUBLIC_KEY_FIELDS[type] }, () => reader.string());
+    const serial = reader.uint64();
+    const certificateType = CERTIFICATE_TYPES[reader.uint32()] || 'unknown';
+    const keyId = reader.string().toString();
+    const principals = readStrings(reader.string());
+    const validAfter = reader.uint64();
+    const validBefore = reader.uint64();
+
+    return {
+        type,
+        keyId,
+        serial: serial.toString(),
+        certificateType,
+        principals,
+        validAfter: validAfter === 0n ? null : toDate(validAfter),
+        validBefore: validBefore === FOREVER ? null : toDate(validBefore),
+        // The certified public key, as `ssh-keygen -l` shows it for the key itself
+        fingerprint: fingerprintKey(Buffer.concat([type.replace('-cert-v01@openssh.com', ''), ...keyFields]
+            .map((field) => sshString(Buffer.from(field)))).toString('base64'))
+    };
+}
+
+/**
+ * Make sure a certificate can log in as each of `usernames` at `now`: it
+ * has to be a user certificate, within its validity period and list every
+ * username as a principal (a certificate without principals is valid for
+ * any user). Throws with what is wrong otherwise.
+ */
+function checkCertificate(certificate, { usernames, now = new Date() }) {
+    const { keyId, certificateType, principals, validAfter, validBefore } = certificate;
+    if (certificateType !== 'user') {
+        throw new Error(`Certificate "${keyId}" is a ${certificateType} certificate, a user certificate is needed to log in`);
+    }
+    if (validAfter && now < validAfter) {
+        throw new Error(`Certificate "${keyId}" is not valid yet: valid from ${validAfter.toISOString()}`);
+    }
+    if (validBefore && now >= validBefore) {
+        throw new Error(`Certificate "${keyId}" expired at ${validBefore.toISOString()}`);
+    }
+    const missing = [...new Set(usernames)].filter((username) => principals.length > 0 && !principals.includes(username));
+    if (missing.length > 0) {
+        throw new Error(`Certificate "${keyId}" is not valid for ${missing.map((username) => `"${username}"`).join(', ')}: its principals are ${principals.join(', ')}`);
+    }
+}
+
+/**
+ * One line describing a certificate for the log.
+ */
+function describeCertificate({ keyId, serial, principals, validAfter, validBefore }) {
+    const from = validAfter ? validAfter.toISOString() : 'always';
+    const to = validBefore ? validBefore.toISOString() : 'forever';
+    return `"${keyId}" (serial ${serial}, principals: ${principals.join(', ') || 'any'}, valid from ${from} to ${to})`;
+}
+
+module.exports = {
+    parseCertificate,
+    checkCertificate,
+    describeCertificate
+};
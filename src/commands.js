@@ -0,0 +1,54 @@
+const { shellQuote, runSshScript } = require('./sftp');
+
+const COMMAND_FAILURE_POLICIES = ['fail', 'warn'];
+
+/**
+ * Script for one command. Wrapping it in braces makes the remote shell read
+ * the whole script before running anything, so a command that reads stdin
+ * cannot swallow the rest of it.
+ */
+function buildCommandScript(command, environment = {}) {
+    const exports = Object.entries(environment)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `export ${name}=${shellQuote(String(value))}\n`)
+        .join('');
+    return `{\n${exports}${command}\n}\n`;
+}
+
+/**
+ * Run commands on the server one after another, each in its own log group
+ * with its output streamed into it. `environment` is exported to every
+ * command (DEPLOY_REMOTE_DIR, ...).
+ *
+ * With the `fail` policy the first failing command throws and the rest are
+ * not run; with `warn` failures are reported as warnings and the remaining
+ * commands (and the deploy) go on.
+ */
+async function runRemoteCommands(connection, commands, { stage, environment, failurePolicy = 'fail' }, dependencies) {
+    const { coreModule } = dependencies;
+
+    for (const [index, command] of commands.entries()) {
+        coreModule.startGroup(`▶️ ${stage} ${index + 1}/${commands.length} on ${connection.host}: ${command}`);
+        let result;
+        try {
+            result = await runSshScript(connection, buildCommandScript(command, environment), dependencies, { silent: false });
+            coreModule.info(`Exit code: ${result.exitCode}`);
+        } finally {
+            coreModule.endGroup();
+        }
+
+        if (result.exitCode !== 0) {
+            const message = `${stage} command "${command}" failed on ${connection.host} with exit code ${result.exitCode}`;
+            if (failurePolicy === 'fail') {
+                throw new Error(message);
+            }
+            console.warn(`${message}, continuing`);
+        }
+    }
+}
+
+module.exports = {
+    COMMAND_FAILURE_POLICIES,
+    buildCommandScript,
+    runRemoteCommands
+};
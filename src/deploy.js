@@ -3,55 +3,115 @@ const exec = require('@actions/exec');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { DEPLOY_IGNORE_FILE, walkSourceDir } = require('./files');
+const { TRANSFER_MODES, supportsArchiveTransfer, runArchiveTransfer } = require('./archive');
+const { buildMappingsBatch } = require('./batch');
+const { formatSize, buildPlanOperations, formatPlan } = require('./plan');
+const { parseMappings } = require('./mappings');
+const { runShardedTransfer } = require('./shards');
+const { buildSftpCommand, tempFilePath, runSftpBatch } = require('./sftp');
+const { defaultManifestPath, buildManifest, parseManifest, diffManifest } = require('./manifest');
+const { joinRemotePath, listRemoteTree } = require('./remote');
+const { findOrphans } = require('./mirror');
+const { runBatchWithRetries } = require('./retry');
+const { parsePatternList, parseLineList, createMatcher } = require('./patterns');
+const { parsePermissionRules, applyPermissionRules } = require('./permissions');
+const { createDirectoryStamps, removeDirectoryStamps } = require('./attributes');
+const { VERIFY_MODES, verifyUpload } = require('./verify');
+const { BACKUP_MODES, backupName, remoteBackupPathFor, backupEntries, backupRemoteFiles, restoreBackup } = require('./backup');
+const { parseHealthCheckUrls, waitForHealthy } = require('./health');
+const { parseKnownHosts, parseFingerprints, prepareKnownHosts } = require('./hostkeys');
+const { createAskpass, removeAskpass } = require('./askpass');
+const { prepareJumpHost, removeJumpHost, checkJumpConnection } = require('./jump');
+const { parseCertificate, checkCertificate, describeCertificate } = require('./certificate');
+const { inspectPrivateKey, describePrivateKey } = require('./privatekey');
+const { COMMAND_FAILURE_POLICIES, runRemoteCommands } = require('./commands');
+const { ROLLOUTS, FAILURE_POLICIES, parseHosts, describeHost, runRollout, formatResultTable } = require('./hosts');
+const { RELEASES_DIR, CURRENT_LINK, resolveReleaseName, releasePathFor, checkNewRelease, switchRelease, pruneReleases, rollbackRelease } = require('./releases');
 
-async function checkAndInstallSshTools() {
-    core.startGroup('🔧 Checking SSH tools');
+const MODES = ['deploy', 'rollback'];
+
+async function checkAndInstallSshTools({ coreModule = core, execModule = exec, osModule = os } = {}) {
+    coreModule.startGroup('🔧 Checking SSH tools');
     try {
-        core.info('Checking if ssh-add is available...');
-        const sshAddResult = await exec.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
-        
+        coreModule.info('Checking if ssh-add is available...');
+        const sshAddResult = await execModule.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
+
         if (sshAddResult.exitCode !== 0) {
-            core.info('ssh-add not found, installing OpenSSH client...');
-            
+            coreModule.info('ssh-add not found, installing OpenSSH client...');
+
             // Detect platform and install appropriate packages
-            if (os.platform() === 'linux') {
-                await exec.exec('sudo', ['apt-get', 'update']);
-                await exec.exec('sudo', ['apt-get', 'install', '-y', 'openssh-client']);
-            } else if (os.platform() === 'darwin') {
+            if (osModule.platform() === 'linux') {
+                await execModule.exec('sudo', ['apt-get', 'update']);
+                await execModule.exec('sudo', ['apt-get', 'install', '-y', 'openssh-client']);
+            } else if (osModule.platform() === 'darwin') {
                 // macOS usually has OpenSSH installed
-                core.info('On macOS, OpenSSH should be pre-installed');
-            } else if (os.platform() === 'win32') {
-                core.warning('On Windows, please ensure OpenSSH is installed via Windows features');
+                coreModule.info('On macOS, OpenSSH should be pre-installed');
+            } else if (osModule.platform() === 'win32') {
+                coreModule.warning('On Windows, please ensure OpenSSH is installed via Windows features');
             }
-            
+
             // Verify installation
-            const verifyResult = await exec.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
+            const verifyResult = await execModule.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
             if (verifyResult.exitCode !== 0) {
                 throw new Error('Failed to install or locate ssh-add after installation attempt');
             }
         }
-        
-        core.info('SSH tools are available');
+
+        coreModule.info('SSH tools are available');
     } catch (error) {
-        core.error('Failed to setup SSH tools');
-        core.error(error);
+        coreModule.error('Failed to setup SSH tools');
+        coreModule.error(error);
         throw error;
     } finally {
-        core.endGroup();
+        coreModule.endGroup();
+    }
+}
+
+/**
+ * Say what a private key input turned out to be and what was repaired in
+ * it, without showing any of the key.
+ */
+function logPrivateKey(privateKeyInfo, inputName, coreModule) {
+    if (!privateKeyInfo.format) {
+        console.warn(`${inputName} is not in a format this action recognizes (OpenSSH, PEM/PKCS#1, PKCS#8 or PuTTY PPK), passing it to ssh as it is`);
+        return;
+    }
+    coreModule.info(`${inputName}: ${describePrivateKey(privateKeyInfo)}`);
+    if (privateKeyInfo.repairs.length > 0) {
+        coreModule.info(`Repaired ${inputName}: ${privateKeyInfo.repairs.join(', ')}`);
     }
 }
 
-async function startSshAgent(privateKey) {
-    core.startGroup('🔐 Setting up SSH Agent');
+/**
+ * Start an ssh-agent for this run and add the private key to it. An
+ * encrypted key is unlocked with `passphrase` through a single-use askpass
+ * helper that only ssh-add sees. With a `keyFile` the key is added from
+ * that file instead, along with the certificate ssh-add finds next to it
+ * (`<keyFile>-cert.pub`). Resolves to a function that stops the agent;
+ * when the key cannot be added, the agent is stopped before the error is
+ * thrown.
+ */
+async function startSshAgent(privateKey, {
+    coreModule = core,
+    execModule = exec,
+    fsModule = fs,
+    osModule = os,
+    pathModule = path,
+    processEnv = process.env,
+    passphrase = '',
+    keyFile = null
+} = {}) {
+    coreModule.startGroup('🔐 Setting up SSH Agent');
     try {
         if (!privateKey) {
             throw new Error('Private key is required');
         }
 
-        core.info('Starting ssh-agent process...');
-        const agentInfo = await exec.getExecOutput('ssh-agent', ['-s']);
-        core.info('ssh-agent output:', agentInfo);
-        
+        coreModule.info('Starting ssh-agent process...');
+        const agentInfo = await execModule.getExecOutput('ssh-agent', ['-s']);
+        coreModule.info('ssh-agent output:', agentInfo);
+
         if (!agentInfo || !agentInfo.stdout) {
             throw new Error('Failed to get ssh-agent output');
         }
@@ -65,432 +125,956 @@ async function startSshAgent(privateKey) {
 
         const authSock = authSockMatch[1];
         const agentPid = agentPidMatch[1];
-        
-        process.env.SSH_AUTH_SOCK = authSock;
-        process.env.SSH_AGENT_PID = agentPid;
-        
-        core.info(`SSH Agent started with PID: ${agentPid}`);
-
-        core.info('Adding SSH key to agent...');
-        await exec.getExecOutput('ssh-add', ['-'], {
-            input: Buffer.from(privateKey),
-            silent: true
-        });
-        
-        core.info('SSH key added successfully');
-        
-        return async () => {
-            core.info('Terminating SSH agent...');
-            await exec.exec('ssh-agent', ['-k']);
+
+        processEnv.SSH_AUTH_SOCK = authSock;
+        processEnv.SSH_AGENT_PID = agentPid;
+
+        coreModule.info(`SSH Agent started with PID: ${agentPid}`);
+        const stopAgent = async () => {
+            coreModule.info('Terminating SSH agent...');
+            await execModule.exec('ssh-agent', ['-k']);
         };
+
+        coreModule.info('Adding SSH key to agent...');
+        const askpassPath = pathModule.join(osModule.tmpdir(), 'deploy_askpass');
+        try {
+            const askpassEnv = passphrase ? await createAskpass(passphrase, askpassPath, { once: true }, { fsModule, processEnv }) : {};
+            const result = await execModule.getExecOutput('ssh-add', [keyFile || '-'], {
+                ...(!keyFile && { input: Buffer.from(privateKey) }),
+                silent: true,
+                ignoreReturnCode: true,
+                ...(passphrase && { env: { ...processEnv, ...askpassEnv } })
+            });
+            if (result.exitCode !== 0) {
+                const hint = passphrase ? 'check the passphrase' : 'set passphrase if the key is encrypted';
+                throw new Error(`Failed to add the private key to the SSH agent (${hint})${result.stderr.trim() ? `: ${result.stderr.trim()}` : ''}`);
+            }
+            // ssh-add still adds the key when the certificate next to it is for another key
+            if (/does not match private key/.test(result.stderr)) {
+                throw new Error('The certificate is not for private_key: it certifies a different key');
+            }
+        } catch (error) {
+            // The caller only gets to stop an agent that holds the key
+            try {
+                await stopAgent();
+            } catch (stopError) {
+                coreModule.warning(`Failed to terminate SSH agent: ${stopError.message}`);
+            }
+            throw error;
+        } finally {
+            if (passphrase) {
+                await removeAskpass(askpassPath, { fsModule });
+            }
+        }
+
+        coreModule.info('SSH key added successfully');
+
+        return stopAgent;
     } catch (error) {
-        core.error('Failed to setup SSH agent');
-        core.error(error);
+        coreModule.error('Failed to setup SSH agent');
+        coreModule.error(error);
         throw error;
     } finally {
-        core.endGroup();
+        coreModule.endGroup();
     }
 }
 
-async function getFileCount(directory) {
-    let count = 0;
-    const files = fs.readdirSync(directory, { recursive: true });
-    for (const file of files) {
-        const fullPath = path.join(directory, file);
-        if (fs.statSync(fullPath).isFile()) {
-            count++;
+async function fetchRemoteManifest(connection, manifestPath, dependencies) {
+    const { fsModule } = dependencies;
+    const localPath = tempFilePath(connection, 'remote_manifest.json', dependencies);
+
+    // The leading dash keeps the batch from failing when no manifest exists yet
+    await runSftpBatch(connection, 'sftp_manifest_batch', `-get "${manifestPath}" "${localPath}"\n`, dependencies);
+
+    if (!fsModule.existsSync(localPath)) {
+        console.log('No remote manifest found, all files will be uploaded');
+        return parseManifest('');
+    }
+
+    try {
+        return parseManifest(fsModule.readFileSync(localPath, 'utf8'));
+    } finally {
+        try {
+            await fsModule.promises.unlink(localPath);
+        } catch (err) {
+            console.warn('Error deleting downloaded manifest:', err);
         }
     }
-    return count;
 }
 
-async function deploy() {
-    console.log('Starting deployment process...');
-    try {
-        // Check and install SSH tools if needed
-        await checkAndInstallSshTools();
-        
-        // Validate inputs
-        console.log('Validating input parameters...');
-        const host = core.getInput('host', { required: true });
-        const username = core.getInput('username', { required: true });
-        const port = core.getInput('port') || '22';
-        const sourceDir = core.getInput('source_dir', { required: true });
-        const remoteDir = core.getInput('remote_dir', { required: true });
-        let privateKey = core.getInput('private_key', { required: true });
+async function uploadManifest(connection, manifest, manifestPath, dependencies) {
+    const { fsModule } = dependencies;
+    const localPath = tempFilePath(connection, 'deploy_manifest.json', dependencies);
 
-        // Normalize private key: ensure it ends with a newline
-        if (privateKey && !privateKey.endsWith('\n')) {
-            privateKey = privateKey + '\n';
-            console.log('Added missing newline to private key');
+    await fsModule.promises.writeFile(localPath, JSON.stringify(manifest));
+    try {
+        const result = await runSftpBatch(connection, 'sftp_manifest_batch', `put "${localPath}" "${manifestPath}"\n`, dependencies);
+        if (result.exitCode !== 0) {
+            throw new Error(`Failed to upload deployment manifest to ${manifestPath}: ${result.stderr}`);
         }
+        console.log(`Deployment manifest updated at ${manifestPath}`);
+    } finally {
+        try {
+            await fsModule.promises.unlink(localPath);
+        } catch (err) {
+            console.warn('Error deleting local manifest:', err);
+        }
+    }
+}
 
-        // Mask private key in logs for security
-        core.setSecret(privateKey);
+/**
+ * Work out what one mapping needs: walk its source, diff it against the
+ * remote manifest in incremental mode and find orphans in mirror mode.
+ */
+async function planMapping(connection, mapping, options, dependencies) {
+    const { fsModule, pathModule } = dependencies;
+    const { include, exclude, incremental, deleteOrphans, protectGlobs, permissionRules = [], preserveAttributes } = options;
+    const { sourceDir, uploadDir, manifestPath } = mapping;
 
-        console.log(`Configuration validated:
-            - Host: ${host}
-            - Username: ${username}
-            - Port: ${port}
-            - Source Directory: ${sourceDir}
-            - Remote Directory: ${remoteDir}
-            - Private Key Length: ${privateKey ? privateKey.length : 0} characters`);
-
-        // Start SSH agent
-        console.log('Starting SSH agent...');
-        const agentInfo = await startSshAgent(privateKey);
-        console.log('SSH agent started successfully:', agentInfo);
-
-        // Create batch file
-        console.log('Creating SFTP batch file...');
-        const batchFilePath = path.join(os.tmpdir(), 'sftp_batch');
-        const fileCount = await getFileCount(sourceDir);
-        console.log(`Found ${fileCount} files to transfer in source directory`);
-
-        // Create a better formatted batch file with explicit paths
-        // Ensure the remote directory exists first
-        let batchFileContent = `-mkdir ${remoteDir}\n`;  // Create directory if it doesn't exist (will be ignored if already exists)
-        batchFileContent += `cd ${remoteDir}\n`;
-        
-        // List all files in source directory and create individual put commands
-        // This is more reliable than put -r for some SFTP implementations
-        const files = fs.readdirSync(sourceDir);
-        for (const file of files) {
-            const sourcePath = path.join(sourceDir, file);
-            if (fs.statSync(sourcePath).isFile()) {
-                batchFileContent += `put "${sourcePath}" "${file}"\n`;
-            }
-        }
-        
-        await fs.promises.writeFile(batchFilePath, batchFileContent);
+    const sourceTree = walkSourceDir(sourceDir, { fsModule, pathModule }, { include, exclude });
+    console.log(`Found ${sourceTree.files.length} files in ${sourceTree.directories.length} directories in ${sourceDir}`);
+
+    // In incremental mode only new or changed files are uploaded
+    let uploadTree = sourceTree;
+    let localManifest = null;
+    if (incremental) {
+        console.log(`Fetching deployment manifest from ${manifestPath}...`);
+        const remoteManifest = await fetchRemoteManifest(connection, manifestPath, dependencies);
+        localManifest = buildManifest(sourceTree, { fsModule });
+        uploadTree = diffManifest(sourceTree, localManifest, remoteManifest);
+        console.log(`${uploadTree.files.length} new or changed files, ${uploadTree.unchanged} unchanged`);
+    }
+
+    // In mirror mode remote files that are no longer in the source are removed
+    let deletions = { files: [], directories: [] };
+    if (deleteOrphans) {
+        console.log(`Listing remote directory ${uploadDir} to find orphaned files...`);
+        const remoteEntries = await listRemoteTree(connection, uploadDir, dependencies);
+        // Like rsync --delete, what the filters leave out of the upload is left alone on the server as well
+        const isProtected = createMatcher(protectGlobs);
+        deletions = findOrphans(remoteEntries, sourceTree, (relativePath, isDirectory) => isProtected(relativePath, isDirectory)
+            || sourceTree.isFilteredOut(relativePath, isDirectory));
+        console.log(`Found ${deletions.files.length} orphaned files and ${deletions.directories.length} orphaned directories to delete`);
+        [...deletions.files, ...deletions.directories].forEach((orphan) => console.log(`  - ${orphan}`));
+    }
+
+    if (preserveAttributes) {
+        uploadTree = { ...uploadTree, files: uploadTree.files.map((file) => ({ ...file, preserve: true })) };
+    }
+
+    // Permission rules apply to every uploaded file, and to every source directory
+    const permissions = applyPermissionRules(uploadTree, sourceTree.directories, permissionRules);
+
+    return {
+        mapping,
+        uploadTree: permissions.tree,
+        sourceDirectories: sourceTree.directories,
+        localManifest,
+        deletions,
+        directoryPermissions: permissions.directoryPermissions
+    };
+}
+
+/**
+ * Run the whole upload batch in one SFTP session, with its output in the
+ * log. A dropped connection is retried with what is left of the batch.
+ */
+async function runSingleTransfer(connection, sections, retryOptions, dependencies) {
+    const { execModule, fsModule } = dependencies;
+    const batchFilePath = tempFilePath(connection, 'sftp_batch', dependencies);
+
+    const runBatch = async (batchFileContent) => {
+        await fsModule.promises.writeFile(batchFilePath, batchFileContent);
         console.log('SFTP batch file created successfully at:', batchFilePath);
         console.log('Batch file contents:', batchFileContent);
 
         // Execute SFTP transfer
         console.log('Preparing SFTP command...');
-        
-        // Create a temporary identity file for this connection
-        const identityFile = path.join(os.tmpdir(), 'deploy_identity');
-        await fs.promises.writeFile(identityFile, privateKey, { mode: 0o600 });
-        console.log(`Identity file created at: ${identityFile}`);
-        
+
         // Use direct SFTP command with explicit identity file instead of ssh-agent
-        const sftpCommand = `sftp -v -o StrictHostKeyChecking=no -o UserKnownHostsFile=/dev/null -i ${identityFile} -b ${batchFilePath} -P ${port} ${username}@${host}`;
+        const sftpCommand = buildSftpCommand(connection, batchFilePath);
         console.log(`Executing SFTP command: ${sftpCommand}`);
 
         console.log('Starting file transfer...');
         try {
-            const result = await exec.getExecOutput(sftpCommand);
+            const result = await execModule.getExecOutput(sftpCommand, [], { ignoreReturnCode: true });
             console.log('SFTP command output:', result.stdout);
             if (result.stderr) {
                 console.warn('SFTP command stderr:', result.stderr);
             }
             console.log(`SFTP transfer completed with exit code: ${result.exitCode}`);
-            
-            // Clean up temporary identity file
-            try {
-                await fs.promises.unlink(identityFile);
-                console.log('Temporary identity file deleted');
-            } catch (err) {
-                console.warn('Error deleting temporary identity file:', err);
-            }
+            return result;
         } catch (sftpError) {
             console.error('SFTP command failed:', sftpError);
-            // Clean up temporary identity file even on error
-            try {
-                await fs.promises.unlink(identityFile);
-                console.log('Temporary identity file deleted');
-            } catch (err) {
-                console.warn('Error deleting temporary identity file:', err);
-            }
             throw sftpError;
         }
+    };
 
-        // Cleanup
-        console.log('Starting cleanup process...');
+    try {
+        const result = await runBatchWithRetries(connection, sections, runBatch, retryOptions, dependencies);
+        if (result.exitCode !== 0) {
+            throw new Error(`SFTP transfer failed with exit code ${result.exitCode}`);
+        }
+    } finally {
         try {
-            await fs.promises.unlink(batchFilePath);
+            await fsModule.promises.unlink(batchFilePath);
             console.log('Batch file deleted successfully');
         } catch (error) {
             console.warn('Error deleting batch file:', error);
         }
+    }
+}
 
-        try {
-            await exec.exec('ssh-agent', ['-k']);
-            console.log('SSH agent killed successfully');
-        } catch (error) {
-            console.warn('Error killing SSH agent:', error);
+/**
+ * Plan every mapping and turn the plans into the `{ remoteDir, tree, options }`
+ * sections the upload batch is built from.
+ */
+async function prepareUpload(connection, options, dependencies) {
+    const { mappings, releaseMode } = options;
+
+    const plans = [];
+    for (const mapping of mappings) {
+        plans.push(await planMapping(connection, mapping, options, dependencies));
+    }
+    const fileCount = plans.reduce((count, plan) => count + plan.uploadTree.files.length, 0);
+
+    // Recreate each directory tree remotely and put every file at its relative path
+    const sections = plans.map((plan) => ({
+        sourceDir: plan.mapping.sourceDir,
+        remoteDir: plan.mapping.uploadDir,
+        tree: plan.uploadTree,
+        options: {
+            parents: releaseMode ? [plan.mapping.remoteDir, joinRemotePath(plan.mapping.remoteDir, RELEASES_DIR)] : [],
+            deletions: plan.deletions,
+            directoryPermissions: plan.directoryPermissions
         }
+    }));
 
-        console.log('Deployment completed successfully!');
-        return true;
-    } catch (error) {
-        console.error('Deployment failed with error:', error);
-        if (error.stack) {
-            console.error('Error stack trace:', error.stack);
+    return { plans, sections, fileCount };
+}
+
+/**
+ * Work out what a deploy to one host would do without connecting to it.
+ * Nothing on the server can be read, so the plan uploads every file and
+ * leaves out incremental diffing and mirror deletions.
+ */
+async function planDryRun(target, options, dependencies) {
+    const { plans, sections } = await prepareUpload(null, {
+        ...options,
+        mappings: target.mappings,
+        incremental: false,
+        deleteOrphans: false
+    }, dependencies);
+    if (options.preserveAttributes) {
+        sections.forEach((section, index) => {
+            section.options.directoryAttributes = [...plans[index].sourceDirectories].reverse().map((directory) => ({ path: directory }));
+        });
+    }
+
+    // The batch is generated but never written, so a dry run fails wherever a real run would
+    buildMappingsBatch(sections);
+
+    const operations = [
+        ...options.preDeployCommands.map((command) => ({ action: 'run', stage: 'pre-deploy', command })),
+        ...(options.backup !== 'none' ? backupEntries(sections).map((entry) => ({ action: 'backup', path: entry.remotePath })) : []),
+        ...buildPlanOperations(sections)
+    ];
+    if (options.releaseMode) {
+        operations.push({ action: 'symlink', path: joinRemotePath(target.liveDir, CURRENT_LINK), target: target.releasePath });
+    }
+    operations.push(...options.postDeployCommands.map((command) => ({ action: 'run', stage: 'post-deploy', command })));
+    operations.push(...options.healthCheckUrls.map((url) => ({ action: 'check', path: url })));
+    const uploads = operations.filter((operation) => operation.action === 'put');
+    return {
+        operations,
+        files: uploads.length,
+        bytes: uploads.reduce((total, operation) => total + operation.size, 0)
+    };
+}
+
+/**
+ * Upload every mapping over an established connection, in one batch or in
+ * parallel shards, and, in release mode, switch the live release once
+ * everything has arrived. Returns the number of files sent, the release
+ * that went live and the uploaded sections (to restore a backup of them).
+ */
+async function uploadSource(connection, options, dependencies) {
+    const { mappings, concurrency, transferMode, preserveAttributes, backup, backupPath, verify, releaseMode, releaseName, releasePath, keepReleases } = options;
+
+    const previousRelease = releaseMode ? await checkNewRelease(connection, mappings[0].remoteDir, releaseName, dependencies) : null;
+
+    // Create batch file
+    console.log('Creating SFTP batch file...');
+    const { plans, sections, fileCount } = await prepareUpload(connection, options, dependencies);
+    console.log(`Found ${fileCount} files to transfer`);
+
+    // Save what is about to be overwritten or deleted before touching anything
+    if (backup !== 'none') {
+        await backupRemoteFiles(connection, sections, { mode: backup, backupDir: backupPath }, dependencies);
+    }
+
+    // Directory attributes are copied from empty local stand-ins, removed once the transfer is over
+    const stampRoots = [];
+    if (preserveAttributes) {
+        sections.forEach((section, index) => {
+            const stampRoot = tempFilePath(connection, `deploy_directory_stamps_${index + 1}`, dependencies);
+            stampRoots.push(stampRoot);
+            section.options.directoryAttributes = createDirectoryStamps(section.sourceDir, plans[index].sourceDirectories, stampRoot, dependencies);
+        });
+    }
+
+    try {
+        let packed = false;
+        if (transferMode === 'archive' && fileCount > 0) {
+            packed = await supportsArchiveTransfer(connection, dependencies);
+            if (!packed) {
+                console.warn('The server does not allow running tar over ssh (internal-sftp only?), falling back to per-file transfer');
+            }
         }
-        throw error;
+
+        const retryOptions = { retries: options.retries, retryDelay: options.retryDelay };
+        if (packed) {
+            await runArchiveTransfer(connection, sections, dependencies, retryOptions);
+        } else if (concurrency > 1 && fileCount > 1) {
+            await runShardedTransfer(connection, sections, concurrency, dependencies, retryOptions);
+        } else {
+            await runSingleTransfer(connection, sections, retryOptions, dependencies);
+        }
+    } finally {
+        stampRoots.forEach((stampRoot) => removeDirectoryStamps(stampRoot, dependencies));
     }
+
+    // A zero exit code only means sftp ran every command, so check what actually arrived
+    if (verify !== 'none') {
+        await verifyUpload(connection, sections, { mode: verify }, dependencies);
+    }
+
+    // Only advance the manifests once every file has been uploaded
+    for (const plan of plans) {
+        if (plan.localManifest) {
+            await uploadManifest(connection, plan.localManifest, plan.mapping.manifestPath, dependencies);
+        }
+    }
+
+    // Go live only once the whole release has been uploaded
+    if (releaseMode) {
+        console.log(`Switching live release to ${releaseName}...`);
+        await switchRelease(connection, mappings[0].remoteDir, releaseName, dependencies, { keepReleases });
+        return { files: fileCount, releaseName, releasePath, previousRelease };
+    }
+
+    return { files: fileCount, sections };
 }
 
-// Add error handling for uncaught exceptions
-process.on('unhandledRejection', (error) => {
-    core.error('Unhandled promise rejection');
-    core.error(error);
-    process.exit(1);
-});
+/**
+ * Put a host back the way it was before a deploy whose health check failed:
+ * the previous release goes live again in release mode, otherwise the backup
+ * is restored and the incremental manifests, which already list the new
+ * files, are removed so the next run uploads everything. Returns what was
+ * done, for the error message; a failure to restore is reported, not thrown.
+ */
+async function restorePreviousState(connection, target, result, { releaseMode, backup }, dependencies) {
+    if (!releaseMode && backup === 'none') {
+        return 'nothing was restored (enable release_mode or backup to restore automatically)';
+    }
 
-// Export the deploy function for testing with optional dependency injection
-module.exports = { 
-    deploy,
-    // Add an injectable version for testing
-    deployWithDependencies: async (params = {}, dependencies = {}) => {
-        const {
-            host = core.getInput('host', { required: true }),
-            username = core.getInput('username', { required: true }),
-            port = core.getInput('port') || '22',
-            sourceDir = core.getInput('source_dir', { required: true }),
-            remoteDir = core.getInput('remote_dir', { required: true }),
-            privateKey: initialPrivateKey = core.getInput('private_key', { required: true })
-        } = params;
-
-        const {
-            coreModule = core,
-            execModule = exec,
-            fsModule = fs,
-            osModule = os,
-            pathModule = path,
-            processEnv = process.env
-        } = dependencies;
-
-        console.log('Starting deployment process with injected dependencies...');
-        try {
-            // Check and install SSH tools if needed with injected dependencies
-            const checkAndInstallSshToolsWithDeps = async () => {
-                coreModule.startGroup('🔧 Checking SSH tools');
-                try {
-                    coreModule.info('Checking if ssh-add is available...');
-                    const sshAddResult = await execModule.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
-                    
-                    if (sshAddResult.exitCode !== 0) {
-                        coreModule.info('ssh-add not found, installing OpenSSH client...');
-                        
-                        // Detect platform and install appropriate packages
-                        if (osModule.platform() === 'linux') {
-                            await execModule.exec('sudo', ['apt-get', 'update']);
-                            await execModule.exec('sudo', ['apt-get', 'install', '-y', 'openssh-client']);
-                        } else if (osModule.platform() === 'darwin') {
-                            // macOS usually has OpenSSH installed
-                            coreModule.info('On macOS, OpenSSH should be pre-installed');
-                        } else if (osModule.platform() === 'win32') {
-                            coreModule.warning('On Windows, please ensure OpenSSH is installed via Windows features');
-                        }
-                        
-                        // Verify installation
-                        const verifyResult = await execModule.getExecOutput('which', ['ssh-add'], { ignoreReturnCode: true });
-                        if (verifyResult.exitCode !== 0) {
-                            throw new Error('Failed to install or locate ssh-add after installation attempt');
-                        }
-                    }
-                    
-                    coreModule.info('SSH tools are available');
-                } catch (error) {
-                    coreModule.error('Failed to setup SSH tools');
-                    coreModule.error(error);
-                    throw error;
-                } finally {
-                    coreModule.endGroup();
-                }
-            };
-            
-            await checkAndInstallSshToolsWithDeps();
-            
-            // Validate inputs
-            console.log('Validating input parameters...');
-            
-            // Create a modifiable copy of the private key
-            let privateKey = initialPrivateKey;
-
-            // Normalize private key: ensure it ends with a newline
-            if (privateKey && !privateKey.endsWith('\n')) {
-                privateKey = privateKey + '\n';
-                coreModule.info('Added missing newline to private key');
+    try {
+        // The release that was live before, not whichever is older: that one may be a failed upload or a release rolled back from
+        if (releaseMode) {
+            if (!result.previousRelease) {
+                return 'nothing was restored (no release was live before this deploy)';
+            }
+            const previous = await rollbackRelease(connection, target.liveDir, result.previousRelease, dependencies);
+            return `rolled back to release ${previous.releaseName}`;
+        }
+
+        await restoreBackup(connection, result.sections, { mode: backup, backupDir: target.backupPath }, dependencies);
+        const manifestPaths = target.mappings.map((mapping) => mapping.manifestPath).filter(Boolean);
+        if (manifestPaths.length > 0) {
+            const manifestResult = await runSftpBatch(connection, 'sftp_manifest_batch', manifestPaths.map((manifestPath) => `-rm "${manifestPath}"\n`).join(''), dependencies);
+            if (manifestResult.exitCode !== 0) {
+                throw new Error(`Failed to remove deployment manifests: ${manifestResult.stderr}`);
             }
+        }
+        return `restored the backup from ${target.backupPath}`;
+    } catch (restoreError) {
+        return `restoring the previous state failed as well: ${restoreError.message}`;
+    }
+}
+
+async function deployWithDependencies(params = {}, dependencies = {}) {
+    const {
+        host = core.getInput('host', { required: true }),
+        username = core.getInput('username', { required: true }),
+        port = core.getInput('port') || '22',
+        sourceDir = core.getInput('source_dir', { required: true }),
+        remoteDir = core.getInput('remote_dir', { required: true }),
+        mappings: mappingsInput = parseMappings(core.getInput('mappings')),
+        privateKey: initialPrivateKey = core.getInput('private_key'),
+        password = core.getInput('password'),
+        passphrase = core.getInput('passphrase'),
+        certificate = core.getInput('certificate'),
+        knownHosts = parseKnownHosts(core.getInput('known_hosts')),
+        hostFingerprints = parseFingerprints(core.getInput('host_fingerprint')),
+        skipHostKeyVerification = core.getInput('skip_host_key_verification') === 'true',
+        jumpHost = core.getInput('jump_host'),
+        jumpPort = core.getInput('jump_port') || '22',
+        jumpUsername = core.getInput('jump_username') || username,
+        jumpPrivateKey: initialJumpPrivateKey = core.getInput('jump_private_key'),
+        mode = core.getInput('mode') || 'deploy',
+        include = parsePatternList(core.getInput('include')),
+        exclude = parsePatternList(core.getInput('exclude')),
+        incremental = core.getInput('incremental') === 'true',
+        manifestPath: customManifestPath = core.getInput('manifest_path'),
+        deleteOrphans = core.getInput('delete_orphans') === 'true',
+        protectGlobs = parsePatternList(core.getInput('protect_globs')),
+        permissionRules = parsePermissionRules(core.getInput('permissions')),
+        preserveAttributes = core.getInput('preserve_attributes') === 'true',
+        backup: backupInput = core.getInput('backup') || 'none',
+        backupDir = core.getInput('backup_dir') || 'backups',
+        verify = core.getInput('verify') || 'none',
+        releaseMode = core.getInput('release_mode') === 'true',
+        releaseName: customReleaseName = core.getInput('release_name'),
+        keepReleases = Number(core.getInput('keep_releases') || 0),
+        concurrency = Number(core.getInput('concurrency') || 1),
+        transferMode = core.getInput('transfer_mode') || 'files',
+        retries = Number(core.getInput('retries') || 0),
+        retryDelay = Number(core.getInput('retry_delay') || 5),
+        rollout = core.getInput('rollout') || 'sequential',
+        failurePolicy = core.getInput('failure_policy') || 'fail-fast',
+        preDeployCommands = parseLineList(core.getInput('pre_deploy_commands')),
+        postDeployCommands = parseLineList(core.getInput('post_deploy_commands')),
+        commandFailurePolicy = core.getInput('command_failure_policy') || 'fail',
+        healthCheckUrls = parseHealthCheckUrls(core.getInput('health_check_urls')),
+        healthCheckStatus = Number(core.getInput('health_check_status') || 200),
+        healthCheckBody = core.getInput('health_check_body'),
+        healthCheckTimeout = Number(core.getInput('health_check_timeout') || 60),
+        healthCheckInterval = Number(core.getInput('health_check_interval') || 5),
+        dryRun = core.getInput('dry_run') === 'true'
+    } = params;
+
+    const {
+        coreModule = core,
+        execModule = exec,
+        fsModule = fs,
+        osModule = os,
+        pathModule = path,
+        fetchModule = fetch,
+        processEnv = process.env
+    } = dependencies;
+
+    const runDependencies = { coreModule, execModule, fsModule, osModule, pathModule, fetchModule };
 
-            // Mask private key in logs for security
+    console.log('Starting deployment process...');
+    try {
+        // Validate inputs
+        console.log('Validating input parameters...');
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`Invalid mode "${mode}": expected one of ${MODES.join(', ')}`);
+        }
+        if (dryRun && mode === 'rollback') {
+            throw new Error('dry_run plans uploads and cannot be combined with rollback mode');
+        }
+
+        // Mask private key in logs for security, as given and as it will be used
+        let privateKey = initialPrivateKey;
+        let privateKeyInfo = null;
+        if (privateKey) {
+            coreModule.setSecret(privateKey);
+            privateKeyInfo = inspectPrivateKey(privateKey, { passphrase });
+            privateKey = privateKeyInfo.key;
             coreModule.setSecret(privateKey);
+            logPrivateKey(privateKeyInfo, 'private_key', coreModule);
+        }
+        if (password) {
+            coreModule.setSecret(password);
+        }
+        if (passphrase) {
+            coreModule.setSecret(passphrase);
+        }
 
-            console.log(`Configuration validated:
-                - Host: ${host}
-                - Username: ${username}
-                - Port: ${port}
-                - Source Directory: ${sourceDir}
-                - Remote Directory: ${remoteDir}
-                - Private Key Length: ${privateKey ? privateKey.length : 0} characters`);
-
-            // Start SSH agent
-            console.log('Starting SSH agent...');
-            
-            // Custom startSshAgent with injected dependencies
-            const startSshAgentWithDeps = async (pk) => {
-                coreModule.startGroup('🔐 Setting up SSH Agent');
-                try {
-                    if (!pk) {
-                        throw new Error('Private key is required');
-                    }
+        // A dry run never connects, so it is the only time no credentials are needed
+        if (privateKey && password) {
+            throw new Error('Set either private_key or password, not both');
+        }
+        if (!privateKey && !password && !dryRun) {
+            throw new Error('An authentication method is required: set private_key or password');
+        }
+        if (passphrase && !privateKey) {
+            throw new Error('passphrase unlocks private_key and cannot be used without it');
+        }
+        if (certificate && !privateKey) {
+            throw new Error('certificate needs private_key, the key it certifies');
+        }
+        // An encrypted key only ever lives in the agent, never decrypted on disk
+        const authentication = password ? 'password' : passphrase ? 'agent' : 'key';
+        const parsedCertificate = certificate ? parseCertificate(certificate) : null;
+        if (parsedCertificate && privateKeyInfo.fingerprint && parsedCertificate.fingerprint !== privateKeyInfo.fingerprint) {
+            throw new Error(`The certificate is not for private_key: it certifies ${parsedCertificate.fingerprint}, private_key is ${privateKeyInfo.fingerprint}`);
+        }
 
-                    coreModule.info('Starting ssh-agent process...');
-                    const agentInfo = await execModule.getExecOutput('ssh-agent', ['-s']);
-                    coreModule.info('ssh-agent output:', agentInfo);
-                    
-                    if (!agentInfo || !agentInfo.stdout) {
-                        throw new Error('Failed to get ssh-agent output');
-                    }
+        let jumpPrivateKey = initialJumpPrivateKey;
+        if (jumpPrivateKey) {
+            coreModule.setSecret(jumpPrivateKey);
+            const jumpPrivateKeyInfo = inspectPrivateKey(jumpPrivateKey, { inputName: 'jump_private_key' });
+            jumpPrivateKey = jumpPrivateKeyInfo.key;
+            coreModule.setSecret(jumpPrivateKey);
+            logPrivateKey(jumpPrivateKeyInfo, 'jump_private_key', coreModule);
+        }
+        if (!jumpHost && jumpPrivateKey) {
+            throw new Error('jump_private_key is set but jump_host is not');
+        }
+        if (jumpHost && !/^\d+$/.test(jumpPort)) {
+            throw new Error(`Invalid jump_port "${jumpPort}": expected a port number`);
+        }
 
-                    const authSockMatch = agentInfo.stdout.match(/SSH_AUTH_SOCK=([^;]*)/);
-                    const agentPidMatch = agentInfo.stdout.match(/SSH_AGENT_PID=([^;]*)/);
+        // Host keys are always checked unless explicitly turned off; a dry run never connects, so it needs none
+        const verifiesHostKeys = !skipHostKeyVerification;
+        if (verifiesHostKeys && !dryRun && knownHosts.length === 0 && hostFingerprints.length === 0) {
+            throw new Error('Host keys cannot be verified: set known_hosts or host_fingerprint, or skip_host_key_verification: true to connect without checking them (insecure)');
+        }
+        if (!verifiesHostKeys) {
+            console.warn('Host key verification is disabled, connections are open to man-in-the-middle attacks');
+        }
 
-                    if (!authSockMatch || !agentPidMatch) {
-                        throw new Error('Failed to parse ssh-agent output');
-                    }
+        const hosts = parseHosts(host, { username, port });
+        if (hosts.length === 0) {
+            throw new Error('At least one host is required');
+        }
+        if (!ROLLOUTS.includes(rollout)) {
+            throw new Error(`Invalid rollout "${rollout}": expected one of ${ROLLOUTS.join(', ')}`);
+        }
+        if (!FAILURE_POLICIES.includes(failurePolicy)) {
+            throw new Error(`Invalid failure_policy "${failurePolicy}": expected one of ${FAILURE_POLICIES.join(', ')}`);
+        }
+        if (!COMMAND_FAILURE_POLICIES.includes(commandFailurePolicy)) {
+            throw new Error(`Invalid command_failure_policy "${commandFailurePolicy}": expected one of ${COMMAND_FAILURE_POLICIES.join(', ')}`);
+        }
 
-                    const authSock = authSockMatch[1];
-                    const agentPid = agentPidMatch[1];
-                    
-                    processEnv.SSH_AUTH_SOCK = authSock;
-                    processEnv.SSH_AGENT_PID = agentPid;
-                    
-                    coreModule.info(`SSH Agent started with PID: ${agentPid}`);
-
-                    coreModule.info('Adding SSH key to agent...');
-                    await execModule.getExecOutput('ssh-add', ['-'], {
-                        input: Buffer.from(pk),
-                        silent: true
-                    });
-                    
-                    coreModule.info('SSH key added successfully');
-                    
-                    return async () => {
-                        coreModule.info('Terminating SSH agent...');
-                        await execModule.exec('ssh-agent', ['-k']);
-                    };
-                } catch (error) {
-                    coreModule.error('Failed to setup SSH agent');
-                    coreModule.error(error);
-                    throw error;
-                } finally {
-                    coreModule.endGroup();
-                }
+        // The mappings input replaces the single source_dir/remote_dir pair
+        const sourceMappings = mappingsInput.length > 0 ? mappingsInput : [{ sourceDir, remoteDir }];
+        const singleMapping = sourceMappings.length === 1;
+        if (!singleMapping && (releaseMode || mode === 'rollback')) {
+            throw new Error('release_mode and rollback work with a single mapping, set source_dir/remote_dir instead of mappings');
+        }
+        if (!singleMapping && customManifestPath) {
+            throw new Error('manifest_path cannot be set with multiple mappings, each mapping keeps its manifest next to its remote directory');
+        }
+        if (!singleMapping && hosts.some((target) => target.remoteDir)) {
+            throw new Error('A per-host remote directory cannot be combined with multiple mappings');
+        }
+
+        // In release mode files go to a fresh releases/<name> directory instead of remote_dir itself
+        const uploadsRelease = mode === 'deploy' && releaseMode;
+        if (uploadsRelease && incremental) {
+            throw new Error('incremental sync cannot be combined with release_mode: every release starts from an empty directory');
+        }
+        const releaseName = uploadsRelease ? resolveReleaseName(customReleaseName, processEnv) : null;
+
+        if (!BACKUP_MODES.includes(backupInput)) {
+            throw new Error(`Invalid backup "${backupInput}": expected one of ${BACKUP_MODES.join(', ')}`);
+        }
+        // Release mode never overwrites anything, and rollback uploads nothing
+        let backup = backupInput;
+        if (backup !== 'none' && (uploadsRelease || mode === 'rollback')) {
+            console.warn(`backup only applies when deploying without release_mode, ignoring it (${uploadsRelease ? 'the previous release stays on the server' : 'rollback uploads nothing'})`);
+            backup = 'none';
+        }
+        const backupRunName = backup !== 'none' ? backupName() : null;
+
+        // Every host gets the same release name, but may deploy to its own remote directory
+        const targets = hosts.map((target, index) => {
+            const hostMappings = sourceMappings.map((mapping) => ({ ...mapping, remoteDir: target.remoteDir || mapping.remoteDir }));
+            const liveDir = hostMappings[0].remoteDir;
+            const releasePath = uploadsRelease ? releasePathFor(liveDir, releaseName) : null;
+            let backupPath = null;
+            if (backup === 'local') {
+                backupPath = hosts.length > 1
+                    ? pathModule.join(backupDir, backupRunName, target.host)
+                    : pathModule.join(backupDir, backupRunName);
+            } else if (backup === 'remote') {
+                backupPath = remoteBackupPathFor(liveDir, backupRunName);
+            }
+            return {
+                ...target,
+                liveDir,
+                releasePath,
+                backupPath,
+                // Hosts deployed side by side must not share temporary batch files
+                tempPrefix: hosts.length > 1 ? `host${index + 1}_` : '',
+                mappings: hostMappings.map((mapping) => ({
+                    ...mapping,
+                    uploadDir: releasePath || mapping.remoteDir,
+                    manifestPath: incremental ? customManifestPath || defaultManifestPath(mapping.remoteDir) : null
+                }))
             };
+        });
 
-            const agentInfo = await startSshAgentWithDeps(privateKey);
-            console.log('SSH agent started successfully:', agentInfo);
-
-            // Create batch file
-            console.log('Creating SFTP batch file...');
-            const batchFilePath = pathModule.join(osModule.tmpdir(), 'sftp_batch');
-            
-            // Custom getFileCount with injected dependencies
-            const getFileCountWithDeps = async (directory) => {
-                let count = 0;
-                const files = fsModule.readdirSync(directory, { recursive: true });
-                for (const file of files) {
-                    const fullPath = pathModule.join(directory, file);
-                    if (fsModule.statSync(fullPath).isFile()) {
-                        count++;
-                    }
-                }
-                return count;
+        // An expired certificate or a missing principal would only show up as a denied login
+        if (parsedCertificate) {
+            checkCertificate(parsedCertificate, {
+                usernames: [...targets.map((target) => target.username), ...(jumpHost && !jumpPrivateKey ? [jumpUsername] : [])]
+            });
+        }
+
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency "${concurrency}": expected a whole number of parallel sessions (1 or more)`);
+        }
+        if (!TRANSFER_MODES.includes(transferMode)) {
+            throw new Error(`Invalid transfer_mode "${transferMode}": expected one of ${TRANSFER_MODES.join(', ')}`);
+        }
+        if (!VERIFY_MODES.includes(verify)) {
+            throw new Error(`Invalid verify "${verify}": expected one of ${VERIFY_MODES.join(', ')}`);
+        }
+        if (!Number.isInteger(retries) || retries < 0) {
+            throw new Error(`Invalid retries "${retries}": expected a whole number of retries (0 disables them)`);
+        }
+        if (!Number.isFinite(retryDelay) || retryDelay < 0) {
+            throw new Error(`Invalid retry_delay "${retryDelay}": expected a number of seconds`);
+        }
+        if (!Number.isInteger(keepReleases) || keepReleases < 0) {
+            throw new Error(`Invalid keep_releases "${keepReleases}": expected a whole number of releases (0 keeps all)`);
+        }
+        if (!Number.isInteger(healthCheckStatus) || healthCheckStatus < 100 || healthCheckStatus > 599) {
+            throw new Error(`Invalid health_check_status "${healthCheckStatus}": expected an HTTP status code`);
+        }
+        if (!Number.isFinite(healthCheckTimeout) || healthCheckTimeout <= 0) {
+            throw new Error(`Invalid health_check_timeout "${healthCheckTimeout}": expected a number of seconds`);
+        }
+        if (!Number.isFinite(healthCheckInterval) || healthCheckInterval <= 0) {
+            throw new Error(`Invalid health_check_interval "${healthCheckInterval}": expected a number of seconds`);
+        }
+        if (healthCheckUrls.length > 0 && mode === 'rollback') {
+            console.warn('Health checks only run after deploying, ignoring them in rollback mode');
+        }
+        if (keepReleases > 0 && !uploadsRelease) {
+            console.warn('keep_releases only applies when deploying with release_mode, ignoring it');
+        }
+
+        console.log(`Configuration validated:
+            - Mode: ${mode}${dryRun ? ' (dry run)' : ''}
+            - Hosts: ${targets.map((target) => describeHost(target) + (target.remoteDir ? ` (${target.remoteDir})` : '')).join(', ')}
+            - Rollout: ${targets.length > 1 ? `${rollout}, ${failurePolicy}` : 'single host'}
+            - Mappings: ${targets[0].mappings.map((mapping) => `${mapping.sourceDir} -> ${mapping.uploadDir}`).join(', ')}
+            - Include: ${include.join(', ') || 'everything'}
+            - Exclude: ${exclude.join(', ') || 'nothing'} (plus ${DEPLOY_IGNORE_FILE} if present)
+            - Release Mode: ${uploadsRelease ? `enabled (release: ${releaseName}, keep: ${keepReleases || 'all'})` : 'disabled'}
+            - Incremental Sync: ${incremental ? `enabled (manifests: ${targets[0].mappings.map((mapping) => mapping.manifestPath).join(', ')})` : 'disabled'}
+            - Transfer Mode: ${transferMode === 'archive' ? 'archive (tar.gz extracted over ssh)' : 'individual files'}
+            - Concurrency: ${concurrency} SFTP session${concurrency === 1 ? '' : 's'}
+            - Verify: ${verify === 'none' ? 'disabled' : verify}
+            - Retries: ${retries > 0 ? `${retries} (backoff from ${retryDelay}s)` : 'disabled'}
+            - Health Check: ${healthCheckUrls.length > 0 ? `${healthCheckUrls.join(', ')} (status ${healthCheckStatus}${healthCheckBody ? `, body "${healthCheckBody}"` : ''}, timeout ${healthCheckTimeout}s)` : 'disabled'}
+            - Commands: ${preDeployCommands.length} before, ${postDeployCommands.length} after (on failure: ${commandFailurePolicy})
+            - Backup: ${backup === 'none' ? 'disabled' : `${backup} (${targets.map((target) => target.backupPath).join(', ')})`}
+            - Preserve Attributes: ${preserveAttributes ? 'enabled (modification times and modes)' : 'disabled'}
+            - Permissions: ${permissionRules.length > 0 ? permissionRules.map((rule) => `${rule.pattern} ${[rule.mode, rule.group].filter(Boolean).join(':')}`).join(', ') : 'server defaults'}
+            - Delete Orphans: ${deleteOrphans ? `enabled (protected: ${protectGlobs.join(', ') || 'none'})` : 'disabled'}
+            - Jump Host: ${jumpHost ? `${jumpUsername}@${jumpHost}:${jumpPort}${jumpPrivateKey ? ' (own private key)' : ''}` : 'none'}
+            - Host Keys: ${verifiesHostKeys ? `strict (${knownHosts.length} known_hosts entries, ${hostFingerprints.length} fingerprints)` : 'not verified'}
+            - Authentication: ${authentication === 'password' ? 'password' : `${passphrase ? 'encrypted ' : ''}private key (${privateKey ? privateKey.length : 0} characters)`}${parsedCertificate ? ` with certificate ${describeCertificate(parsedCertificate)}` : ''}`);
+
+        if (dryRun) {
+            if (incremental) {
+                console.warn('Dry run cannot read the remote manifest, planning a full upload');
+            }
+            if (deleteOrphans) {
+                console.warn('Dry run cannot list the remote directory, orphan deletions are not planned');
+            }
+
+            const plan = [];
+            for (const target of targets) {
+                const hostPlan = await planDryRun(target, {
+                    include,
+                    exclude,
+                    permissionRules,
+                    preserveAttributes,
+                    backup,
+                    releaseMode: uploadsRelease,
+                    preDeployCommands,
+                    postDeployCommands,
+                    healthCheckUrls
+                }, runDependencies);
+                console.log(`Planned operations for ${describeHost(target)} (${hostPlan.files} files, ${formatSize(hostPlan.bytes)}):\n${formatPlan(hostPlan.operations)}`);
+                plan.push({
+                    host: target.host,
+                    port: target.port,
+                    username: target.username,
+                    remoteDir: target.liveDir,
+                    ...hostPlan
+                });
+            }
+            coreModule.setOutput('plan', JSON.stringify(plan));
+
+            console.log('Dry run completed, nothing was deployed');
+            return true;
+        }
+
+        // Check and install SSH tools if needed
+        await checkAndInstallSshTools({ coreModule, execModule, osModule });
+
+        let identityFile = null;
+        let certificateFile = null;
+        const credentialFiles = [];
+        const hostKeys = verifiesHostKeys ? { knownHosts, fingerprints: hostFingerprints } : null;
+        const knownHostsFiles = [];
+        // Values the askpass variables replaced, put back once the run is over
+        let replacedEnv = null;
+        // Kills the agent started for this run, whether the deploy succeeds or not
+        let stopAgent = null;
+        let jump = null;
+        const checksHealth = mode === 'deploy' && healthCheckUrls.length > 0;
+        const deployTarget = async (target) => {
+            const connection = {
+                host: target.host,
+                port: target.port,
+                username: target.username,
+                authentication,
+                identityFile,
+                certificateFile,
+                jump,
+                tempPrefix: target.tempPrefix
+            };
+            console.log(`Deploying to ${describeHost(target)}...`);
+
+            if (hostKeys) {
+                connection.knownHostsFile = await prepareKnownHosts(connection, hostKeys, runDependencies);
+                knownHostsFiles.push(connection.knownHostsFile);
+            }
+            if (jump) {
+                await checkJumpConnection(connection, runDependencies);
+            }
+
+            // Commands see where the files go, and in release and rollback modes which release is live
+            const environment = {
+                DEPLOY_HOST: target.host,
+                DEPLOY_REMOTE_DIR: target.liveDir,
+                DEPLOY_RELEASE_NAME: releaseName,
+                DEPLOY_RELEASE_PATH: target.releasePath
             };
-            
-            const fileCount = await getFileCountWithDeps(sourceDir);
-            console.log(`Found ${fileCount} files to transfer in source directory`);
-
-            // Create a better formatted batch file with explicit paths
-            // Ensure the remote directory exists first
-            let batchFileContent = `-mkdir ${remoteDir}\n`;  // Create directory if it doesn't exist (will be ignored if already exists)
-            batchFileContent += `cd ${remoteDir}\n`;
-            
-            // List all files in source directory and create individual put commands
-            // This is more reliable than put -r for some SFTP implementations
-            const files = fsModule.readdirSync(sourceDir);
-            for (const file of files) {
-                const sourcePath = pathModule.join(sourceDir, file);
-                if (fsModule.statSync(sourcePath).isFile()) {
-                    batchFileContent += `put "${sourcePath}" "${file}"\n`;
+            await runRemoteCommands(connection, preDeployCommands, {
+                stage: 'pre-deploy',
+                environment,
+                failurePolicy: commandFailurePolicy
+            }, runDependencies);
+
+            const result = mode === 'rollback'
+                // Nothing is uploaded: only the live symlink moves
+                ? await rollbackRelease(connection, target.liveDir, customReleaseName, runDependencies)
+                : await uploadSource(connection, {
+                    mappings: target.mappings,
+                    concurrency,
+                    transferMode,
+                    retries,
+                    retryDelay,
+                    include,
+                    exclude,
+                    incremental,
+                    deleteOrphans,
+                    protectGlobs,
+                    permissionRules,
+                    preserveAttributes,
+                    backup,
+                    backupPath: target.backupPath,
+                    verify,
+                    releaseMode: uploadsRelease,
+                    releaseName,
+                    releasePath: target.releasePath,
+                    // Rolling back an unhealthy release needs the one before it, so prune only once healthy
+                    keepReleases: checksHealth ? 0 : keepReleases
+                }, runDependencies);
+
+            await runRemoteCommands(connection, postDeployCommands, {
+                stage: 'post-deploy',
+                environment: {
+                    ...environment,
+                    DEPLOY_RELEASE_NAME: result.releaseName,
+                    DEPLOY_RELEASE_PATH: result.releasePath
+                },
+                failurePolicy: commandFailurePolicy
+            }, runDependencies);
+
+            // An unhealthy deploy is undone before the host is reported as failed
+            if (checksHealth) {
+                try {
+                    await waitForHealthy(healthCheckUrls, {
+                        status: healthCheckStatus,
+                        body: healthCheckBody,
+                        timeout: healthCheckTimeout,
+                        interval: healthCheckInterval
+                    }, runDependencies);
+                } catch (healthError) {
+                    console.error(`${healthError.message}, restoring the previous state of ${describeHost(target)}...`);
+                    const restored = await restorePreviousState(connection, target, result, { releaseMode: uploadsRelease, backup }, runDependencies);
+                    throw new Error(`${healthError.message}; ${restored}`);
+                }
+                if (uploadsRelease && keepReleases > 0) {
+                    await pruneReleases(connection, target.liveDir, result.releaseName, keepReleases, runDependencies);
                 }
             }
-            
-            await fsModule.promises.writeFile(batchFilePath, batchFileContent);
-            console.log('SFTP batch file created successfully at:', batchFilePath);
-            console.log('Batch file contents:', batchFileContent);
-
-            // Execute SFTP transfer
-            console.log('Preparing SFTP command...');
-            
-            // Create a temporary identity file for this connection
-            const identityFile = pathModule.join(osModule.tmpdir(), 'deploy_identity');
-            await fsModule.promises.writeFile(identityFile, privateKey, { mode: 0o600 });
-            console.log(`Identity file created at: ${identityFile}`);
-            
-            // Use direct SFTP command with explicit identity file instead of ssh-agent
-            const sftpCommand = `sftp -v -o StrictHostKeyChecking=no -o UserKnownHostsFile=/dev/null -i ${identityFile} -b ${batchFilePath} -P ${port} ${username}@${host}`;
-            console.log(`Executing SFTP command: ${sftpCommand}`);
-
-            console.log('Starting file transfer...');
-            try {
-                const result = await execModule.getExecOutput(sftpCommand);
-                console.log('SFTP command output:', result.stdout);
-                if (result.stderr) {
-                    console.warn('SFTP command stderr:', result.stderr);
+            return result;
+        };
+
+        let results;
+        try {
+            // Keys go through the agent and, unless encrypted, a temporary identity file; passwords through an askpass helper
+            // ssh-add only loads a certificate from next to a key file, so with one an encrypted key is written too, still encrypted
+            if (authentication === 'key' || parsedCertificate) {
+                // Create a temporary identity file for this run's connections
+                identityFile = pathModule.join(osModule.tmpdir(), 'deploy_identity');
+                await fsModule.promises.writeFile(identityFile, privateKey, { mode: 0o600 });
+                console.log(`Identity file created at: ${identityFile}`);
+                credentialFiles.push(identityFile);
+            }
+            if (parsedCertificate) {
+                certificateFile = `${identityFile}-cert.pub`;
+                await fsModule.promises.writeFile(certificateFile, `${certificate.trim()}\n`, { mode: 0o600 });
+                console.log(`Certificate file created at: ${certificateFile}`);
+                credentialFiles.push(certificateFile);
+            }
+            if (authentication !== 'password') {
+                // Start SSH agent
+                console.log('Starting SSH agent...');
+                stopAgent = await startSshAgent(privateKey, {
+                    coreModule,
+                    execModule,
+                    fsModule,
+                    osModule,
+                    pathModule,
+                    processEnv,
+                    passphrase,
+                    keyFile: certificateFile ? identityFile : null
+                });
+                console.log('SSH agent started successfully');
+            } else {
+                // Every sftp and ssh process started from here on inherits the helper, until the finally below
+                const askpassPath = pathModule.join(osModule.tmpdir(), 'deploy_askpass');
+                const askpassEnv = await createAskpass(password, askpassPath, {}, { fsModule, processEnv });
+                replacedEnv = Object.fromEntries(Object.keys(askpassEnv).map((name) => [name, processEnv[name]]));
+                Object.assign(processEnv, askpassEnv);
+                console.log(`Password authentication helper created at: ${askpassPath}`);
+                credentialFiles.push(askpassPath);
+            }
+
+            if (jumpHost) {
+                jump = await prepareJumpHost({ host: jumpHost, port: jumpPort, username: jumpUsername }, {
+                    privateKey: jumpPrivateKey,
+                    authentication,
+                    identityFile,
+                    certificateFile,
+                    hostKeys
+                }, runDependencies);
+            }
+            results = await runRollout(targets, deployTarget, { rollout, failurePolicy });
+        } finally {
+            // The password must not outlive the run in the environment of later processes
+            if (replacedEnv) {
+                for (const [name, value] of Object.entries(replacedEnv)) {
+                    if (value === undefined) {
+                        delete processEnv[name];
+                    } else {
+                        processEnv[name] = value;
+                    }
                 }
-                console.log(`SFTP transfer completed with exit code: ${result.exitCode}`);
-                
-                // Clean up temporary identity file
+            }
+            // Clean up temporary identity file, even on error
+            for (const credentialFile of credentialFiles) {
                 try {
-                    await fsModule.promises.unlink(identityFile);
-                    console.log('Temporary identity file deleted');
+                    await fsModule.promises.unlink(credentialFile);
+                    console.log(`Temporary credential file ${credentialFile} deleted`);
                 } catch (err) {
-                    console.warn('Error deleting temporary identity file:', err);
+                    console.warn(`Error deleting temporary credential file ${credentialFile}:`, err);
                 }
-            } catch (sftpError) {
-                console.error('SFTP command failed:', sftpError);
-                // Clean up temporary identity file even on error
+            }
+            if (jump) {
+                await removeJumpHost(jump, runDependencies);
+            }
+            if (stopAgent) {
+                try {
+                    await stopAgent();
+                    console.log('SSH agent killed successfully');
+                } catch (error) {
+                    console.warn('Error killing SSH agent:', error);
+                }
+            }
+            for (const knownHostsFile of knownHostsFiles) {
                 try {
-                    await fsModule.promises.unlink(identityFile);
-                    console.log('Temporary identity file deleted');
+                    await fsModule.promises.unlink(knownHostsFile);
                 } catch (err) {
-                    console.warn('Error deleting temporary identity file:', err);
+                    console.warn(`Error deleting temporary known_hosts file ${knownHostsFile}:`, err);
                 }
-                throw sftpError;
             }
+        }
 
-            // Cleanup
-            console.log('Starting cleanup process...');
-            try {
-                await fsModule.promises.unlink(batchFilePath);
-                console.log('Batch file deleted successfully');
-            } catch (error) {
-                console.warn('Error deleting batch file:', error);
-            }
+        const rows = results.map(({ target, status, result = {}, error }) => ({
+            host: target.host,
+            port: target.port,
+            username: target.username,
+            remoteDir: target.liveDir,
+            status,
+            files: result.files,
+            release: result.releaseName,
+            // A failed deploy may have overwritten files already, so its backup is reported too
+            backup: status === 'skipped' ? undefined : target.backupPath || undefined,
+            error: error ? error.message : undefined
+        }));
+        if (targets.length > 1) {
+            console.log(`Rollout results:\n${formatResultTable(rows)}`);
+        }
+        coreModule.setOutput('host-results', JSON.stringify(rows));
 
-            try {
-                await execModule.exec('ssh-agent', ['-k']);
-                console.log('SSH agent killed successfully');
-            } catch (error) {
-                console.warn('Error killing SSH agent:', error);
-            }
+        const succeeded = results.filter((entry) => entry.status === 'success');
+        const released = succeeded.find((entry) => entry.result.releaseName);
+        if (released) {
+            coreModule.setOutput('release-name', released.result.releaseName);
+            coreModule.setOutput('release-path', released.result.releasePath);
+        }
+        const backedUp = rows.find((row) => row.backup);
+        if (backedUp) {
+            coreModule.setOutput('backup-path', backedUp.backup);
+        }
+        if (mode === 'deploy') {
+            coreModule.setOutput('deployed-files', succeeded.reduce((count, entry) => count + entry.result.files, 0));
+            coreModule.setOutput('deployment-time', new Date().toISOString());
+        }
 
-            console.log('Deployment completed successfully!');
-            return true;
-        } catch (error) {
-            console.error('Deployment failed with error:', error);
-            if (error.stack) {
-                console.error('Error stack trace:', error.stack);
+        const failed = results.filter((entry) => entry.status === 'failed');
+        if (failed.length > 0) {
+            if (targets.length === 1) {
+                throw failed[0].error;
             }
-            throw error;
+            const reasons = failed.map((entry) => `${describeHost(entry.target)}: ${entry.error.message}`).join('; ');
+            throw new Error(`Deployment failed on ${failed.length} of ${targets.length} hosts: ${reasons}`);
+        }
+
+        console.log('Deployment completed successfully!');
+        return true;
+    } catch (error) {
+        console.error('Deployment failed with error:', error);
+        if (error.stack) {
+            console.error('Error stack trace:', error.stack);
         }
+        throw error;
     }
+}
+
+// Reads every input from the workflow and uses the real modules
+async function deploy() {
+    return deployWithDependencies();
+}
+
+// Add error handling for uncaught exceptions
+process.on('unhandledRejection', (error) => {
+    core.error('Unhandled promise rejection');
+    core.error(error);
+    process.exit(1);
+});
+
+// Export the deploy function for testing with optional dependency injection
+module.exports = {
+    deploy,
+    deployWithDependencies
 };
 
 // Only run deploy() if this file is being run directly
@@ -502,4 +1086,4 @@ if (require.main === module) {
         console.error('Deployment failed:', error);
         process.exit(1);
     });
-}
\ No newline at end of file
+}
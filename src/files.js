@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { createMatcher } = require('./patterns');
+
+const DEPLOY_IGNORE_FILE = '.deployignore';
+
+/**
+ * Parent directories of a relative path, outermost first.
+ */
+function ancestorsOf(relativePath) {
+    const parts = relativePath.split('/');
+    return parts.slice(1).map((_part, index) => parts.slice(0, index + 1).join('/'));
+}
+
+/**
+ * Walk the local source directory recursively.
+ *
+ * Directories are returned parents-first so they can be created remotely in
+ * order, and every path is relative to the source root with forward slashes
+ * so it can be used as-is on the remote side.
+ *
+ * `exclude` patterns and a `.deployignore` file at the source root use
+ * gitignore semantics; excluded directories are not descended into. When
+ * `include` patterns are given, only matching files are kept, along with
+ * the directories needed to hold them.
+ *
+ * The tree also carries `isFilteredOut(relativePath, isDirectory)`, which
+ * tells whether these filters leave a path out, wherever it lives: a file
+ * on the server that would not be uploaded from the source either.
+ */
+function walkSourceDir(sourceDir, { fsModule = fs, pathModule = path } = {}, { include = [], exclude = [] } = {}) {
+    const directories = [];
+    const files = [];
+
+    const rootEntries = fsModule.readdirSync(sourceDir);
+    const ignorePatterns = rootEntries.includes(DEPLOY_IGNORE_FILE)
+        ? fsModule.readFileSync(pathModule.join(sourceDir, DEPLOY_IGNORE_FILE), 'utf8').split(/\r?\n/)
+        : [];
+    const isExcluded = createMatcher([`/${DEPLOY_IGNORE_FILE}`, ...ignorePatterns, ...exclude]);
+    const isIncluded = include.length > 0 ? createMatcher(include) : () => true;
+
+    const visit = (localDir, relativeDir, entries) => {
+        for (const entry of entries) {
+            const localPath = pathModule.join(localDir, entry);
+            const relativePath = relativeDir ? `${relativeDir}/${entry}` : entry;
+            const stats = fsModule.statSync(localPath);
+
+            if (stats.isFile()) {
+                if (!isExcluded(relativePath) && isIncluded(relativePath)) {
+                    files.push({ localPath, relativePath, size: stats.size });
+                }
+            } else if (stats.isDirectory() && !isExcluded(relativePath, true)) {
+                directories.push(relativePath);
+                visit(localPath, relativePath, fsModule.readdirSync(localPath));
+            }
+        }
+    };
+
+    visit(sourceDir, '', rootEntries);
+
+    const isFilteredOut = (relativePath, isDirectory = false) => ancestorsOf(relativePath).some((ancestor) => isExcluded(ancestor, true))
+        || isExcluded(relativePath, isDirectory)
+        || (!isDirectory && !isIncluded(relativePath));
+
+    if (include.length > 0) {
+        const needed = new Set(files.flatMap((file) => ancestorsOf(file.relativePath)));
+        return { directories: directories.filter((directory) => needed.has(directory)), files, isFilteredOut };
+    }
+    return { directories, files, isFilteredOut };
+}
+
+module.exports = {
+    DEPLOY_IGNORE_FILE,
+    ancestorsOf,
+    walkSourceDir
+};
@@ -0,0 +1,74 @@
+const { parseLineList } = require('./patterns');
+const { wait } = require('./wait');
+
+// Longest a single request may take, so a hanging server cannot outlast the timeout by much
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Parse the `health_check_urls` input: one http(s) URL per line.
+ */
+function parseHealthCheckUrls(input) {
+    return parseLineList(input).map((line) => {
+        if (!URL.canParse(line) || !['http:', 'https:'].includes(new URL(line).protocol)) {
+            throw new Error(`Invalid health check URL "${line}": expected an http:// or https:// URL`);
+        }
+        return line;
+    });
+}
+
+/**
+ * Request a URL once. Returns null when it answered with the expected
+ * status (and contains `body`, when set), or what was wrong otherwise.
+ */
+async function checkUrl(url, { status, body }, fetchModule) {
+    try {
+        const response = await fetchModule(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+        const text = await response.text();
+        if (response.status !== status) {
+            return `status ${response.status}, expected ${status}`;
+        }
+        if (body && !text.includes(body)) {
+            return `response does not contain "${body}"`;
+        }
+        return null;
+    } catch (err) {
+        // fetch only says "fetch failed", the reason (ECONNREFUSED, ...) is the cause
+        return err.cause ? err.cause.message : err.message;
+    }
+}
+
+/**
+ * Poll every URL each `interval` seconds until all of them have answered
+ * as expected once, or throw with the last problem of each URL still
+ * failing after `timeout` seconds.
+ */
+async function waitForHealthy(urls, { status, body, timeout, interval }, { fetchModule = fetch } = {}) {
+    const deadline = Date.now() + timeout * 1000;
+    const problems = new Map();
+    let pending = urls;
+
+    for (;;) {
+        const results = await Promise.all(pending.map((url) => checkUrl(url, { status, body }, fetchModule)));
+        pending = pending.filter((url, index) => {
+            problems.set(url, results[index]);
+            return results[index] !== null;
+        });
+        if (pending.length === 0) {
+            console.log(`Health check passed for ${urls.join(', ')}`);
+            return;
+        }
+
+        if (Date.now() + interval * 1000 > deadline) {
+            const reasons = pending.map((url) => `${url}: ${problems.get(url)}`).join('; ');
+            throw new Error(`Health check failed after ${timeout}s: ${reasons}`);
+        }
+        console.log(`Waiting for ${pending.map((url) => `${url} (${problems.get(url)})`).join(', ')}, checking again in ${interval}s...`);
+        await wait(interval * 1000);
+    }
+}
+
+module.exports = {
+    parseHealthCheckUrls,
+    checkUrl,
+    waitForHealthy
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { parseLineList } = require('./patterns');
+const { describeConnectionFailure, tempFilePath } = require('./sftp');
+
+// [@marker] hosts keytype base64-key [comment]
+const KNOWN_HOSTS_PATTERN = /^(?:(@\S+)\s+)?(\S+)\s+(\S+)\s+([A-Za-z0-9+/]+={0,2})(?:\s.*)?$/;
+const FINGERPRINT_PATTERN = /^SHA256:[A-Za-z0-9+/]{43}$/;
+
+/**
+ * OpenSSH's SHA256 fingerprint of a base64 encoded public key, as printed by
+ * `ssh-keygen -l` and in the `-v` output: unpadded base64 with a prefix.
+ */
+function fingerprintKey(base64Key) {
+    const digest = crypto.createHash('sha256').update(Buffer.from(base64Key, 'base64')).digest('base64');
+    return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Parse known_hosts lines (the `known_hosts` input, or `ssh-keyscan`
+ * output). A line that is not a key line throws.
+ */
+function parseKnownHosts(input) {
+    return parseLineList(input).map((line) => {
+        const match = line.match(KNOWN_HOSTS_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid known_hosts line "${line}": expected <hosts> <key type> <base64 key>`);
+        }
+        const [, marker = null, hosts, type, key] = match;
+        return { line, marker, hosts: hosts.split(','), type, key, fingerprint: fingerprintKey(key) };
+    });
+}
+
+/**
+ * Parse the `host_fingerprint` input: one `SHA256:...` fingerprint per line
+ * or separated by commas.
+ */
+function parseFingerprints(input) {
+    if (!input) {
+        return [];
+    }
+
+    return input
+        .split(/[\r\n,]+/)
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map((value) => {
+            if (!FINGERPRINT_PATTERN.test(value)) {
+                throw new Error(`Invalid host_fingerprint "${value}": expected a SHA256 fingerprint such as SHA256:${'A'.repeat(43)} (ssh-keygen -lf <key>)`);
+            }
+            return value;
+        });
+}
+
+/**
+ * The name ssh looks a host up by: the bare host on port 22,
+ * `[host]:port` on any other port.
+ */
+function knownHostName(host, port) {
+    return String(port) === '22' ? host : `[${host}]:${port}`;
+}
+
+function matchesHostPattern(pattern, name) {
+    // Hashed entries (HashKnownHosts): |1|base64 salt|base64 HMAC-SHA1 of the name
+    const hashed = pattern.match(/^\|1\|([^|]+)\|(.+)$/);
+    if (hashed) {
+        return crypto.createHmac('sha1', Buffer.from(hashed[1], 'base64')).update(name).digest('base64') === hashed[2];
+    }
+
+    const glob = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${glob}$`, 'i').test(name);
+}
+
+/**
+ * Whether a known_hosts entry applies to a host, following ssh: any
+ * pattern has to match and no negated (`!`) pattern may. Markers are left
+ * to the caller: a `@cert-authority` or `@revoked` entry is not a key the
+ * host itself presents.
+ */
+function entryMatchesHost(entry, host, port) {
+    const name = knownHostName(host, port);
+    const negated = entry.hosts.filter((pattern) => pattern.startsWith('!'));
+    const positive = entry.hosts.filter((pattern) => !pattern.startsWith('!'));
+    return positive.some((pattern) => matchesHostPattern(pattern, name))
+        && !negated.some((pattern) => matchesHostPattern(pattern.slice(1), name));
+}
+
+/**
+ * Host key algorithms to ask a server for first, so it presents a key of a
+ * type we know, as ssh does with its known_hosts. RSA keys sign with SHA-2.
+ */
+function hostKeyAlgorithmsFor(types) {
+    const algorithms = types.flatMap((type) => (type === 'ssh-rsa' ? ['rsa-sha2-512', 'rsa-sha2-256'] : [type]));
+    return [...new Set(algorithms)];
+}
+
+// ssh-keyscan cannot go through a jump host, so ssh records the key of a connection that never authenticates
+async function scanHostKeysThroughJump(connection, types, dependencies) {
+    const { execModule, fsModule } = dependencies;
+    const { host, port, username, jump } = connection;
+    const scanFile = tempFilePath(connection, 'known_hosts_scan', dependencies);
+    const algorithms = hostKeyAlgorithmsFor(types);
+
+    await fsModule.promises.writeFile(scanFile, '', { mode: 0o600 });
+    try {
+        const result = await execModule.getExecOutput('ssh', [
+            '-F', jump.configFile,
+            '-o', `ProxyJump=${jump.alias}`,
+            '-o', 'StrictHostKeyChecking=accept-new',
+            '-o', `UserKnownHostsFile=${scanFile}`,
+            '-o', 'GlobalKnownHostsFile=/dev/null',
+            '-o', 'HashKnownHosts=no',
+            '-o', 'BatchMode=yes',
+            '-o', 'PreferredAuthentications=none',
+            ...(algorithms.length > 0 ? ['-o', `HostKeyAlgorithms=^${algorithms.join(',')}`] : []),
+            '-p', String(port),
+            `${username}@${host}`,
+            'true'
+        ], { ignoreReturnCode: true, silent: true });
+        const keys = parseKnownHosts(await fsModule.promises.readFile(scanFile, 'utf8'));
+        if (keys.length === 0) {
+            throw new Error(`Could not fetch the host key of ${host}:${port} through the jump host: ${describeConnectionFailure(connection, result.stderr)}`);
+        }
+        return keys;
+    } finally {
+        try {
+            await fsModule.promises.unlink(scanFile);
+        } catch (err) {
+            console.warn('Error deleting host key scan file:', err);
+        }
+    }
+}
+
+/**
+ * Fetch the host keys a server presents with `ssh-keyscan`. A server behind
+ * a jump host only shows the one key ssh negotiates, preferably of one of
+ * `types`.
+ */
+async function scanHostKeys(connection, dependencies, { types = [] } = {}) {
+    if (connection.jump) {
+        return scanHostKeysThroughJump(connection, types, dependencies);
+    }
+
+    const { execModule } = dependencies;
+    const { host, port } = connection;
+    const result = await execModule.getExecOutput('ssh-keyscan', ['-p', String(port), host], { ignoreReturnCode: true, silent: true });
+    const keys = parseKnownHosts(result.stdout);
+    if (keys.length === 0) {
+        throw new Error(`Could not fetch the host keys of ${host}:${port}: ${result.stderr.trim() || `ssh-keyscan exited with code ${result.exitCode}`}`);
+    }
+    return keys;
+}
+
+/**
+ * Write the temporary known_hosts file a connection is verified against
+ * and return its path.
+ *
+ * The server's keys are scanned first and compared with what is expected
+ * of it: the `host_fingerprint` values and the keys `known_hosts` lists for
+ * it. Unless one of them matches, this throws with both sides, before
+ * anything is sent to the server; keys listed as `@revoked` never match.
+ * The file holds the `known_hosts` lines plus the scanned keys that match a
+ * fingerprint.
+ *
+ * A host only vouched for by a `@cert-authority` entry is not scanned:
+ * ssh-keyscan shows plain keys, not the host certificate, so ssh itself
+ * checks the certificate against the authority when connecting.
+ */
+async function prepareKnownHosts(connection, { knownHosts, fingerprints }, dependencies) {
+    const { fsModule } = dependencies;
+    const { host, port } = connection;
+
+    const applying = knownHosts.filter((entry) => entryMatchesHost(entry, host, port));
+    const listed = applying.filter((entry) => !entry.marker);
+    const authorities = applying.filter((entry) => entry.marker === '@cert-authority');
+    const revoked = applying.filter((entry) => entry.marker === '@revoked').map((entry) => entry.fingerprint);
+    const expected = [...fingerprints, ...listed.map((entry) => entry.fingerprint)];
+    const writeKnownHosts = async (pinned) => {
+        const lines = [...knownHosts.map((entry) => entry.line), ...pinned.map((key) => key.line)];
+        const knownHostsFile = tempFilePath(connection, 'known_hosts', dependencies);
+        await fsModule.promises.writeFile(knownHostsFile, `${lines.join('\n')}\n`, { mode: 0o600 });
+        return knownHostsFile;
+    };
+
+    if (expected.length === 0 && authorities.length > 0) {
+        console.log(`Host key of ${host}:${port} is left to ssh to check against certificate authority ${authorities.map((entry) => entry.fingerprint).join(', ')}`);
+        return writeKnownHosts([]);
+    }
+    if (expected.length === 0) {
+        throw new Error(`Host key verification failed for ${host}:${port}: known_hosts has no key for ${knownHostName(host, port)} and no host_fingerprint is set`);
+    }
+
+    const scanned = await scanHostKeys(connection, dependencies, { types: listed.map((entry) => entry.type) });
+    const matching = scanned.filter((key) => expected.includes(key.fingerprint) && !revoked.includes(key.fingerprint));
+    if (matching.length === 0) {
+        const describe = (keys) => keys.map((key) => `${key.fingerprint} (${key.type}${revoked.includes(key.fingerprint) ? ', revoked' : ''})`);
+        throw new Error(`Host key verification failed for ${host}:${port}: expected ${[...fingerprints, ...describe(listed)].join(', ')}, but the server presented ${describe(scanned).join(', ')}`);
+    }
+
+    const knownHostsFile = await writeKnownHosts(matching.filter((key) => fingerprints.includes(key.fingerprint)));
+    console.log(`Host key of ${host}:${port} verified: ${matching[0].fingerprint} (${matching[0].type})`);
+    return knownHostsFile;
+}
+
+module.exports = {
+    fingerprintKey,
+    parseKnownHosts,
+    parseFingerprints,
+    knownHostName,
+    entryMatchesHost,
+    hostKeyAlgorithmsFor,
+    scanHostKeys,
+    prepareKnownHosts
+};
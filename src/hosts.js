@@ -0,0 +1,91 @@
+const { parseLineList } = require('./patterns');
+
+const ROLLOUTS = ['sequential', 'parallel'];
+const FAILURE_POLICIES = ['fail-fast', 'continue'];
+
+// [username@]host[:port] followed by an optional remote directory; IPv6 hosts go in brackets
+const HOST_PATTERN = /^(?:([^@\s]+)@)?(\[[^\]\s]+\]|[^:@\s]+)(?::(\d+))?(?:\s+(\S.*))?$/;
+
+/**
+ * Parse the `host` input: one target per line, each optionally overriding
+ * the username, port and remote directory of the step, e.g.
+ *
+ *     web1.example.com
+ *     deploy@web2.example.com:2222
+ *     web3.example.com /srv/www/html
+ *
+ * A single plain host name keeps working exactly as before.
+ */
+function parseHosts(input, { username, port }) {
+    return parseLineList(input).map((line) => {
+        const match = line.match(HOST_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid host "${line}": expected [username@]host[:port] [remote_dir]`);
+        }
+        return {
+            host: match[2],
+            username: match[1] || username,
+            port: match[3] || port,
+            remoteDir: match[4] ? match[4].trim() : null
+        };
+    });
+}
+
+function describeHost({ host, username, port }) {
+    return `${username}@${host}:${port}`;
+}
+
+/**
+ * Run `deployTarget` for every target, one after another or all at once.
+ *
+ * With the `fail-fast` policy a sequential rollout stops at the first
+ * failing host and the remaining ones are reported as skipped; a parallel
+ * rollout has already started every host, so they all run to completion.
+ * With `continue` every host is attempted. Failures are returned in the
+ * results rather than thrown.
+ */
+async function runRollout(targets, deployTarget, { rollout = 'sequential', failurePolicy = 'fail-fast' } = {}) {
+    const attempt = async (target) => {
+        try {
+            return { target, status: 'success', result: await deployTarget(target) };
+        } catch (error) {
+            return { target, status: 'failed', error };
+        }
+    };
+
+    if (rollout === 'parallel') {
+        return Promise.all(targets.map(attempt));
+    }
+
+    const results = [];
+    for (const target of targets) {
+        const stopped = failurePolicy === 'fail-fast' && results.some((entry) => entry.status === 'failed');
+        results.push(stopped ? { target, status: 'skipped' } : await attempt(target));
+    }
+    return results;
+}
+
+/**
+ * Plain-text table of the rollout results for the job log.
+ */
+function formatResultTable(rows) {
+    const columns = ['host', 'status', 'files', 'release', 'error'];
+    const cells = rows.map((row) => columns.map((column) => String(row[column] ?? '')));
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((line) => line[index].length)));
+    const format = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimEnd();
+
+    return [
+        format(columns),
+        format(widths.map((width) => '-'.repeat(width))),
+        ...cells.map(format)
+    ].join('\n');
+}
+
+module.exports = {
+    ROLLOUTS,
+    FAILURE_POLICIES,
+    parseHosts,
+    describeHost,
+    runRollout,
+    formatResultTable
+};
@@ -0,0 +1,111 @@
+const { buildSshOptions, describeConnectionFailure, tempFilePath, runSftpBatch } = require('./sftp');
+const { prepareKnownHosts } = require('./hostkeys');
+
+// Name the jump host goes by in the generated ssh config
+const JUMP_HOST_ALIAS = 'deploy-jump';
+
+function configValue(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * ssh config for the jump hop: a single Host block under `JUMP_HOST_ALIAS`
+ * with the options `buildSshOptions` would give a direct connection to it,
+ * so it authenticates and checks its host key the same way.
+ */
+function buildJumpConfig(jumpConnection) {
+    const { host, port, username, authentication } = jumpConnection;
+    const options = buildSshOptions(jumpConnection);
+    const settings = [['HostName', host], ['Port', port], ['User', username]];
+    for (let i = 0; i < options.length; i += 2) {
+        const value = options[i + 1];
+        settings.push(options[i] === '-i'
+            ? ['IdentityFile', value]
+            : [value.slice(0, value.indexOf('=')), value.slice(value.indexOf('=') + 1)]);
+    }
+    // The main connection's sftp -b only puts its own hop in batch mode
+    if (authentication !== 'password') {
+        settings.push(['BatchMode', 'yes']);
+    }
+    return [`Host ${JUMP_HOST_ALIAS}`, ...settings.map(([key, value]) => `    ${key} ${configValue(String(value))}`), ''].join('\n');
+}
+
+async function removeFiles(files, { fsModule }) {
+    for (const filePath of files) {
+        try {
+            await fsModule.promises.unlink(filePath);
+        } catch (err) {
+            console.warn(`Error deleting temporary file ${filePath}:`, err);
+        }
+    }
+}
+
+/**
+ * Set up the jump host every connection goes through: verify its host key
+ * (when `hostKeys` is given), write its own identity file when it has a
+ * `privateKey` of its own (it uses the connections' credentials and
+ * certificate otherwise)
+ * and write the ssh config naming it. Returns the `jump` to put on
+ * connections, with the temporary `files` to delete after the run.
+ */
+async function prepareJumpHost(jump, { privateKey, authentication, identityFile, certificateFile = null, hostKeys }, dependencies) {
+    const { fsModule } = dependencies;
+    const jumpConnection = { ...jump, authentication, identityFile, certificateFile, tempPrefix: 'jump_' };
+    const files = [];
+
+    try {
+        if (privateKey) {
+            jumpConnection.authentication = 'key';
+            jumpConnection.certificateFile = null;
+            jumpConnection.identityFile = tempFilePath(jumpConnection, 'deploy_identity', dependencies);
+            await fsModule.promises.writeFile(jumpConnection.identityFile, privateKey, { mode: 0o600 });
+            files.push(jumpConnection.identityFile);
+        }
+
+        if (hostKeys) {
+            try {
+                jumpConnection.knownHostsFile = await prepareKnownHosts(jumpConnection, hostKeys, dependencies);
+            } catch (error) {
+                throw new Error(`Jump host: ${error.message}`);
+            }
+            files.push(jumpConnection.knownHostsFile);
+        }
+
+        const configFile = tempFilePath(jumpConnection, 'ssh_config', dependencies);
+        await fsModule.promises.writeFile(configFile, buildJumpConfig(jumpConnection), { mode: 0o600 });
+        files.push(configFile);
+        console.log(`Connections go through jump host ${jump.username}@${jump.host}:${jump.port}`);
+        return { ...jump, alias: JUMP_HOST_ALIAS, configFile, files };
+    } catch (error) {
+        await removeFiles(files, dependencies);
+        throw error;
+    }
+}
+
+/**
+ * Delete the temporary files of a jump host set up by `prepareJumpHost`.
+ */
+async function removeJumpHost(jump, dependencies) {
+    await removeFiles(jump.files, dependencies);
+}
+
+/**
+ * Open an SFTP session through the jump host before anything else, so a
+ * failure says which hop it happened on instead of surfacing later as a
+ * failed transfer.
+ */
+async function checkJumpConnection(connection, dependencies) {
+    const { host, port, username, jump } = connection;
+    const result = await runSftpBatch(connection, 'sftp_connect_batch', 'pwd\n', dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Could not connect to ${username}@${host}:${port} through jump host ${jump.host}:${jump.port}: ${describeConnectionFailure(connection, result.stderr)}`);
+    }
+}
+
+module.exports = {
+    JUMP_HOST_ALIAS,
+    buildJumpConfig,
+    prepareJumpHost,
+    removeJumpHost,
+    checkJumpConnection
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Default remote manifest location: a sibling of the remote directory, so
+ * it is never served alongside the deployed files.
+ */
+function defaultManifestPath(remoteDir) {
+    return `${remoteDir.replace(/\/+$/, '')}.deploy-manifest.json`;
+}
+
+function hashFile(localPath, fsModule = fs) {
+    return crypto.createHash('sha256').update(fsModule.readFileSync(localPath)).digest('hex');
+}
+
+/**
+ * Build a manifest (relative path, size, content hash) for a walked source tree.
+ */
+function buildManifest(tree, { fsModule = fs } = {}) {
+    const files = {};
+    for (const file of tree.files) {
+        files[file.relativePath] = {
+            size: file.size,
+            hash: hashFile(file.localPath, fsModule)
+        };
+    }
+
+    return {
+        version: MANIFEST_VERSION,
+        directories: [...tree.directories],
+        files
+    };
+}
+
+/**
+ * Parse a manifest downloaded from the server. Anything missing or
+ * unreadable is treated as an empty manifest so the next run uploads
+ * everything and writes a fresh one.
+ */
+function parseManifest(content) {
+    const empty = { version: MANIFEST_VERSION, directories: [], files: {} };
+    if (!content) {
+        return empty;
+    }
+
+    try {
+        const manifest = JSON.parse(content);
+        if (manifest.version !== MANIFEST_VERSION || typeof manifest.files !== 'object' || manifest.files === null) {
+            console.warn('Ignoring remote manifest with unsupported format');
+            return empty;
+        }
+        return {
+            version: manifest.version,
+            directories: Array.isArray(manifest.directories) ? manifest.directories : [],
+            files: manifest.files
+        };
+    } catch (error) {
+        console.warn('Ignoring unreadable remote manifest:', error.message);
+        return empty;
+    }
+}
+
+/**
+ * Compare the local tree against the remote manifest and return the subset
+ * of the tree that needs uploading: new or changed files, plus directories
+ * the server does not know about yet.
+ */
+function diffManifest(tree, localManifest, remoteManifest) {
+    const knownDirectories = new Set(remoteManifest.directories);
+
+    const files = tree.files.filter((file) => {
+        const remote = remoteManifest.files[file.relativePath];
+        const local = localManifest.files[file.relativePath];
+        return !remote || remote.size !== local.size || remote.hash !== local.hash;
+    });
+
+    return {
+        directories: tree.directories.filter((directory) => !knownDirectories.has(directory)),
+        files,
+        unchanged: tree.files.length - files.length
+    };
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    defaultManifestPath,
+    hashFile,
+    buildManifest,
+    parseManifest,
+    diffManifest
+};
@@ -0,0 +1,26 @@
+const { parseLineList } = require('./patterns');
+
+// A Windows drive prefix such as `C:\` is part of the local path, not the separator
+const DRIVE_PREFIX_PATTERN = /^[A-Za-z]:[\\/]/;
+
+/**
+ * Parse the `mappings` input: one `local:remote` pair per line, e.g.
+ *
+ *     dist:/var/www/html
+ *     config/prod:/etc/myapp
+ */
+function parseMappings(input) {
+    return parseLineList(input).map((line) => {
+        const separator = line.indexOf(':', DRIVE_PREFIX_PATTERN.test(line) ? 2 : 0);
+        const sourceDir = separator > 0 ? line.slice(0, separator).trim() : '';
+        const remoteDir = separator > 0 ? line.slice(separator + 1).trim() : '';
+        if (!sourceDir || !remoteDir) {
+            throw new Error(`Invalid mapping "${line}": expected local:remote`);
+        }
+        return { sourceDir, remoteDir };
+    });
+}
+
+module.exports = {
+    parseMappings
+};
@@ -0,0 +1,45 @@
+const { ancestorsOf } = require('./files');
+
+/**
+ * Work out which remote entries are not part of the source tree.
+ *
+ * Protected paths are never returned, and neither is any directory that
+ * still has to hold something (a protected file, or an entry that is not a
+ * regular file, directory or symlink). Directories come deepest first so
+ * they are already empty when `rmdir` reaches them.
+ */
+function findOrphans(remoteEntries, sourceTree, isProtected) {
+    const localFiles = new Set(sourceTree.files.map((file) => file.relativePath));
+    const localDirectories = new Set(sourceTree.directories);
+    const keptDirectories = new Set();
+    const files = [];
+    const directories = [];
+
+    for (const [relativePath, entry] of remoteEntries) {
+        const isDirectory = entry.type === 'directory';
+        const inSource = isDirectory ? localDirectories.has(relativePath) : localFiles.has(relativePath);
+
+        if (inSource) {
+            continue;
+        }
+        if (entry.type === 'other' || isProtected(relativePath, isDirectory)) {
+            keptDirectories.add(relativePath);
+            ancestorsOf(relativePath).forEach((ancestor) => keptDirectories.add(ancestor));
+            continue;
+        }
+
+        (isDirectory ? directories : files).push(relativePath);
+    }
+
+    const depth = (relativePath) => relativePath.split('/').length;
+    return {
+        files,
+        directories: directories
+            .filter((directory) => !keptDirectories.has(directory))
+            .sort((a, b) => depth(b) - depth(a))
+    };
+}
+
+module.exports = {
+    findOrphans
+};
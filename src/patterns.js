@@ -0,0 +1,47 @@
+const ignore = require('ignore');
+
+/**
+ * Split a multi-line or comma separated input into a list of patterns,
+ * dropping blank entries and `#` comments.
+ */
+function parsePatternList(input) {
+    if (!input) {
+        return [];
+    }
+
+    return input
+        .split(/[\n,]/)
+        .map((pattern) => pattern.trim())
+        .filter((pattern) => pattern && !pattern.startsWith('#'));
+}
+
+/**
+ * Split a multi-line input into its trimmed lines, dropping blank lines and
+ * `#` comments. Unlike pattern lists, commas are part of a line.
+ */
+function parseLineList(input) {
+    if (!input) {
+        return [];
+    }
+
+    return input
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Create a matcher for gitignore-style patterns. Paths are relative to the
+ * deployment root with forward slashes; directories must be passed with
+ * `isDirectory` so that patterns like `uploads/` only match directories.
+ */
+function createMatcher(patterns) {
+    const matcher = ignore().add(patterns);
+    return (relativePath, isDirectory = false) => matcher.ignores(isDirectory ? `${relativePath}/` : relativePath);
+}
+
+module.exports = {
+    parsePatternList,
+    parseLineList,
+    createMatcher
+};
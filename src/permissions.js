@@ -0,0 +1,78 @@
+const { parseLineList, createMatcher } = require('./patterns');
+
+// <pattern> <mode> [gid], where a mode of `-` only changes the group
+const RULE_PATTERN = /^(\S+)\s+([0-7]{3,4}|-)(?:\s+(\d+))?$/;
+
+/**
+ * Parse the `permissions` input: one rule per line, a gitignore-style
+ * pattern followed by an octal mode and optionally a numeric group id
+ * (sftp's `chgrp` does not resolve group names), e.g.
+ *
+ *     storage/** 0775 33
+ *     *.env 0600
+ */
+function parsePermissionRules(input) {
+    return parseLineList(input).map((line) => {
+        const match = line.match(RULE_PATTERN);
+        if (!match || (match[2] === '-' && !match[3])) {
+            throw new Error(`Invalid permission rule "${line}": expected <pattern> <octal mode> [numeric gid]`);
+        }
+        return {
+            pattern: match[1],
+            mode: match[2] === '-' ? null : match[2],
+            group: match[3] || null
+        };
+    });
+}
+
+/**
+ * Create a resolver returning the `{ mode, group }` a path should get, or
+ * null when no rule matches. Rules are applied in order, so when several
+ * match, the last mode and the last group win.
+ */
+function createPermissionResolver(rules) {
+    const matchers = rules.map((rule) => ({ rule, matches: createMatcher([rule.pattern]) }));
+
+    return (relativePath, isDirectory = false) => {
+        let permissions = null;
+        for (const { rule, matches } of matchers) {
+            if (matches(relativePath, isDirectory)) {
+                permissions = {
+                    mode: rule.mode || (permissions && permissions.mode) || null,
+                    group: rule.group || (permissions && permissions.group) || null
+                };
+            }
+        }
+        return permissions;
+    };
+}
+
+/**
+ * Annotate a walked tree with the permissions it should get: matching files
+ * carry `mode`/`group` (applied right after their `put`), and matching
+ * directories of `allDirectories` are returned deepest first, to be applied
+ * once everything below them has been written.
+ */
+function applyPermissionRules(tree, allDirectories, rules) {
+    if (rules.length === 0) {
+        return { tree, directoryPermissions: [] };
+    }
+
+    const resolve = createPermissionResolver(rules);
+    const files = tree.files.map((file) => {
+        const permissions = resolve(file.relativePath);
+        return permissions ? { ...file, ...permissions } : file;
+    });
+    const directoryPermissions = [...allDirectories]
+        .reverse()
+        .map((directory) => ({ path: directory, ...resolve(directory, true) }))
+        .filter((directory) => directory.mode || directory.group);
+
+    return { tree: { ...tree, files }, directoryPermissions };
+}
+
+module.exports = {
+    parsePermissionRules,
+    createPermissionResolver,
+    applyPermissionRules
+};
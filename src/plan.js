@@ -0,0 +1,91 @@
+const { joinRemotePath } = require('./remote');
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * Human readable file size, e.g. `1.5 KB`.
+ */
+function formatSize(bytes) {
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < SIZE_UNITS.length - 1) {
+        size /= 1024;
+        unit += 1;
+    }
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+function permissionOperations(remotePath, { mode, group }) {
+    return [
+        ...(mode ? [{ action: 'chmod', path: remotePath, mode }] : []),
+        ...(group ? [{ action: 'chgrp', path: remotePath, group }] : [])
+    ];
+}
+
+/**
+ * List the operations an upload would perform, in the order the batch runs
+ * them, from the same `{ remoteDir, tree, options }` sections the batch is
+ * built from. Remote paths are absolute (or relative to the login directory)
+ * rather than relative to each section.
+ */
+function buildPlanOperations(sections) {
+    const operations = [];
+    for (const { remoteDir, tree, options = {} } of sections) {
+        const { parents = [], deletions = { files: [], directories: [] }, directoryAttributes = [], directoryPermissions = [] } = options;
+
+        for (const directory of [...parents, remoteDir]) {
+            operations.push({ action: 'mkdir', path: directory });
+        }
+        for (const directory of tree.directories) {
+            operations.push({ action: 'mkdir', path: joinRemotePath(remoteDir, directory) });
+        }
+        for (const file of tree.files) {
+            const remotePath = joinRemotePath(remoteDir, file.relativePath);
+            operations.push({ action: 'put', localPath: file.localPath, path: remotePath, size: file.size, ...(file.preserve ? { preserve: true } : {}) });
+            operations.push(...permissionOperations(remotePath, file));
+        }
+        for (const file of deletions.files) {
+            operations.push({ action: 'rm', path: joinRemotePath(remoteDir, file) });
+        }
+        for (const directory of deletions.directories) {
+            operations.push({ action: 'rmdir', path: joinRemotePath(remoteDir, directory) });
+        }
+        for (const directory of directoryAttributes) {
+            operations.push({ action: 'preserve', path: joinRemotePath(remoteDir, directory.path) });
+        }
+        for (const directory of directoryPermissions) {
+            operations.push(...permissionOperations(joinRemotePath(remoteDir, directory.path), directory));
+        }
+    }
+    return operations;
+}
+
+/**
+ * One log line per planned operation.
+ */
+function formatPlan(operations) {
+    return operations
+        .map((operation) => {
+            switch (operation.action) {
+            case 'put':
+                return `put${operation.preserve ? ' -p' : '   '} ${operation.localPath} -> ${operation.path} (${formatSize(operation.size)})`;
+            case 'symlink':
+                return `symlink ${operation.path} -> ${operation.target}`;
+            case 'chmod':
+                return `chmod  ${operation.path} ${operation.mode}`;
+            case 'chgrp':
+                return `chgrp  ${operation.path} ${operation.group}`;
+            case 'run':
+                return `run    ${operation.command} (${operation.stage})`;
+            default:
+                return `${operation.action.padEnd(6)} ${operation.path}`;
+            }
+        })
+        .join('\n');
+}
+
+module.exports = {
+    formatSize,
+    buildPlanOperations,
+    formatPlan
+};
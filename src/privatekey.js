@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const { fingerprintKey } = require('./hostkeys');
+const { createReader, sshString } = require('./wire');
+
+// PEM labels of the private key formats, with the name they are reported under
+const PEM_FORMATS = {
+    'OPENSSH PRIVATE KEY': 'OpenSSH',
+    'RSA PRIVATE KEY': 'PEM/PKCS#1',
+    'DSA PRIVATE KEY': 'PEM/PKCS#1',
+    'EC PRIVATE KEY': 'PEM/SEC1',
+    'PRIVATE KEY': 'PKCS#8',
+    'ENCRYPTED PRIVATE KEY': 'PKCS#8'
+};
+
+// Formats a bare base64 body can be read as, to put its BEGIN/END lines back
+const DER_LABELS = [['pkcs8', 'PRIVATE KEY'], ['pkcs1', 'RSA PRIVATE KEY'], ['sec1', 'EC PRIVATE KEY']];
+
+const OPENSSH_MAGIC = Buffer.from('openssh-key-v1\0');
+const PPK_HEADER = /^PuTTY-User-Key-File-[23]: (\S+)$/;
+const PUBLIC_KEY_LINE = /^\S+ AAAA[A-Za-z0-9+/]+={0,2}(\s.*)?$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const EC_CURVES = { nistp256: 'P-256', nistp384: 'P-384', nistp521: 'P-521' };
+
+// An unsigned big-endian integer without its leading zeros (mpints carry one for the sign)
+function unsigned(value) {
+    let start = 0;
+    while (start < value.length - 1 && value[start] === 0) {
+        start++;
+    }
+    return value.subarray(start);
+}
+
+function fixedLength(value, length) {
+    const digits = unsigned(value);
+    return Buffer.concat([Buffer.alloc(Math.max(length - digits.length, 0)), digits]);
+}
+
+function sshMpint(value) {
+    const digits = unsigned(value);
+    return sshString(digits[0] & 0x80 ? Buffer.concat([Buffer.alloc(1), digits]) : digits);
+}
+
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function toBigInt(value) {
+    return BigInt(`0x${unsigned(value).toString('hex') || '0'}`);
+}
+
+function fromBigInt(value) {
+    const hex = value.toString(16);
+    return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+}
+
+function armour(label, data, headers = []) {
+    const width = label === 'OPENSSH PRIVATE KEY' ? 70 : 64;
+    const lines = data.match(new RegExp(`.{1,${width}}`, 'g'));
+    return [`-----BEGIN ${label}-----`, ...headers, ...(headers.length ? [''] : []), ...lines, `-----END ${label}-----`, ''].join('\n');
+}
+
+/**
+ * The SSH public key blob of a private key read by Node's crypto, as an
+ * `authorized_keys` line would hold it. Null for keys SSH has no blob for.
+ */
+function publicKeyBlob(keyObject) {
+    const jwk = crypto.createPublicKey(keyObject).export({ format: 'jwk' });
+    const field = (name) => Buffer.from(jwk[name], 'base64url');
+    switch (keyObject.asymmetricKeyType) {
+        case 'rsa':
+            return Buffer.concat([sshString('ssh-rsa'), sshMpint(field('e')), sshMpint(field('n'))]);
+        case 'ec': {
+            const curve = Object.keys(EC_CURVES).find((name) => EC_CURVES[name] === jwk.crv);
+            return curve && Buffer.concat([sshString(`ecdsa-sha2-${curve}`), sshString(curve),
+                sshString(Buffer.concat([Buffer.from([4]), field('x'), field('y')]))]);
+        }
+        case 'ed25519':
+            return Buffer.concat([sshString('ssh-ed25519'), sshString(field('x'))]);
+        default:
+            return null;
+    }
+}
+
+function describeBlob(blob, inputName) {
+    return {
+        type: createReader(blob, `${inputName} is damaged`).string().toString(),
+        fingerprint: fingerprintKey(blob.toString('base64'))
+    };
+}
+
+/**
+ * Find the PEM armour around a key, putting back a BEGIN or END line (or
+ * both, working out the label from the data) that was lost when pasting.
+ */
+function readArmour(text, repairs) {
+    const begin = text.match(/-----BEGIN ([A-Z0-9 ]+)-----/);
+    const end = text.match(/-----END ([A-Z0-9 ]+)-----/);
+    let body = text;
+    if (end) {
+        body = body.slice(0, end.index);
+    }
+    if (begin) {
+        body = body.slice(begin.index + begin[0].length);
+    }
+
+    // Encrypted PKCS#1 keys have Proc-Type and DEK-Info headers before the data
+    const headers = [];
+    let rest = body.trim();
+    let header;
+    while ((header = rest.match(/^([A-Za-z-]+): *(\S+)\s*/))) {
+        headers.push(`${header[1]}: ${header[2]}`);
+        rest = rest.slice(header[0].length);
+    }
+    const data = rest.replace(/\s+/g, '');
+    if (!BASE64.test(data)) {
+        return begin || end ? { label: (begin || end)[1], headers, data: null } : null;
+    }
+
+    let label = (begin || end || [])[1];
+    if (!label) {
+        const der = Buffer.from(data, 'base64');
+        if (der.subarray(0, OPENSSH_MAGIC.length).equals(OPENSSH_MAGIC)) {
+            label = 'OPENSSH PRIVATE KEY';
+        } else {
+            label = (DER_LABELS.find(([type]) => {
+                try {
+                    crypto.createPrivateKey({ key: der, format: 'der', type });
+                    return true;
+                } catch {
+                    return false;
+                }
+            }) || [])[1];
+        }
+        if (!label) {
+            return null;
+        }
+        repairs.push('restored the missing BEGIN and END lines');
+    } else if (!begin || !end) {
+        repairs.push(`restored the missing ${begin ? 'END' : 'BEGIN'} line`);
+    }
+    if (rest.split('\n').some((line) => !BASE64.test(line))) {
+        repairs.push('fixed the line breaks and spacing');
+    }
+    return { label, headers, data };
+}
+
+/**
+ * Type, fingerprint and encryption of an openssh-key-v1 key, which keeps
+ * its public key in the clear even when the private key is encrypted.
+ */
+function describeOpenSsh(der, inputName) {
+    if (!der.subarray(0, OPENSSH_MAGIC.length).equals(OPENSSH_MAGIC)) {
+        throw new Error(`${inputName} is a damaged OpenSSH key: it does not start like one`);
+    }
+    const reader = createReader(der.subarray(OPENSSH_MAGIC.length), `${inputName} is damaged`);
+    const cipher = reader.string().toString();
+    reader.string(); // kdf name
+    reader.string(); // kdf options
+    if (reader.uint32() !== 1) {
+        throw new Error(`${inputName} holds several keys, one key is expected`);
+    }
+    return { ...describeBlob(reader.string(), inputName), encrypted: cipher !== 'none', cipher };
+}
+
+/**
+ * Convert an unencrypted PuTTY key to the OpenSSH format, after checking
+ * its private part really belongs to its public key.
+ */
+function convertPpk(text, inputName) {
+    const lines = text.split('\n').map((line) => line.trim());
+    const fields = {};
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^([A-Za-z0-9-]+): ?(.*)$/);
+        if (!match) {
+            throw new Error(`${inputName} is a damaged PuTTY key: unexpected line ${i + 1}`);
+        }
+        const [, name, value] = match;
+        fields[name] = name.endsWith('-Lines') ? lines.slice(i + 1, i + 1 + Number(value)).join('') : value;
+        i += name.endsWith('-Lines') ? Number(value) : 0;
+    }
+
+    const type = lines[0].match(PPK_HEADER)[1];
+    if (fields.Encryption !== 'none') {
+        throw new Error(`${inputName} is a passphrase-protected PuTTY key, which cannot be converted: export it from PuTTYgen with Conversions > Export OpenSSH key and set passphrase`);
+    }
+    if (!BASE64.test(fields['Public-Lines'] || '') || !BASE64.test(fields['Private-Lines'] || '')) {
+        throw new Error(`${inputName} is a damaged PuTTY key: its Public-Lines or Private-Lines are missing or not base64`);
+    }
+
+    const publicBlob = Buffer.from(fields['Public-Lines'], 'base64');
+    const publicKey = createReader(publicBlob, `${inputName} is damaged`);
+    const privateKey = createReader(Buffer.from(fields['Private-Lines'], 'base64'), `${inputName} is damaged`);
+    if (publicKey.string().toString() !== type) {
+        throw new Error(`${inputName} is a damaged PuTTY key: its public key is not ${type}`);
+    }
+
+    // PuTTY stores only what OpenSSH cannot derive; the OpenSSH fields are in the order it writes them
+    let keyFields;
+    let jwk;
+    let privateFields;
+    if (type === 'ssh-rsa') {
+        const [e, n] = [publicKey.string(), publicKey.string()];
+        const [d, p, q, iqmp] = [privateKey.string(), privateKey.string(), privateKey.string(), privateKey.string()];
+        keyFields = [n, e, d, iqmp, p, q];
+        jwk = { kty: 'RSA', n: toBase64Url(unsigned(n)), e: toBase64Url(unsigned(e)) };
+        privateFields = {
+            d: toBase64Url(unsigned(d)),
+            p: toBase64Url(unsigned(p)),
+            q: toBase64Url(unsigned(q)),
+            dp: toBase64Url(fromBigInt(toBigInt(d) % (toBigInt(p) - 1n))),
+            dq: toBase64Url(fromBigInt(toBigInt(d) % (toBigInt(q) - 1n))),
+            qi: toBase64Url(unsigned(iqmp))
+        };
+    } else if (type.startsWith('ecdsa-sha2-')) {
+        const [curve, point] = [publicKey.string(), publicKey.string()];
+        const d = privateKey.string();
+        const size = (point.length - 1) / 2;
+        keyFields = [curve, point, d];
+        jwk = {
+            kty: 'EC',
+            crv: EC_CURVES[curve.toString()],
+            x: toBase64Url(point.subarray(1, 1 + size)),
+            y: toBase64Url(point.subarray(1 + size))
+        };
+        privateFields = { d: toBase64Url(fixedLength(d, size)) };
+    } else if (type === 'ssh-ed25519') {
+        const publicPoint = publicKey.string();
+        // PuTTY keeps the 32-byte secret as a little-endian integer
+        const secret = Buffer.from(fixedLength(privateKey.string(), 32)).reverse();
+        keyFields = [publicPoint, Buffer.concat([secret, publicPoint])];
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(publicPoint) };
+        privateFields = { d: toBase64Url(secret) };
+    } else {
+        throw new Error(`${inputName} is a PuTTY ${type} key, which cannot be converted: export it from PuTTYgen with Conversions > Export OpenSSH key`);
+    }
+
+    const challenge = crypto.randomBytes(32);
+    const algorithm = type === 'ssh-ed25519' ? null : 'sha256';
+    let matches;
+    try {
+        const signature = crypto.sign(algorithm, challenge, crypto.createPrivateKey({ key: { ...jwk, ...privateFields }, format: 'jwk' }));
+        matches = crypto.verify(algorithm, challenge, crypto.createPublicKey({ key: jwk, format: 'jwk' }), signature);
+    } catch {
+        matches = false;
+    }
+    if (!matches) {
+        throw new Error(`${inputName} is a damaged PuTTY key: its private key does not match its public key`);
+    }
+
+    // openssh-key-v1 with no cipher: the check integers, the key, its comment and padding to the block size
+    const check = crypto.randomBytes(4);
+    const keyData = [check, check, sshString(type), ...keyFields.map(sshString), sshString(fields.Comment || '')];
+    for (let length = Buffer.concat(keyData).length, pad = 1; length % 8; length++, pad++) {
+        keyData.push(Buffer.from([pad]));
+    }
+    const data = Buffer.concat([OPENSSH_MAGIC, sshString('none'), sshString('none'), sshString(''),
+        Buffer.from([0, 0, 0, 1]), sshString(publicBlob), sshString(Buffer.concat(keyData))]);
+    return { key: armour('OPENSSH PRIVATE KEY', data.toString('base64')), ...describeBlob(publicBlob, inputName) };
+}
+
+/**
+ * Work out what a private key input holds and turn it into a key file ssh
+ * can read. Repairs what pasting a key into a secret tends to break
+ * (literal `\n` escapes, CRLF line endings, lost line breaks and lost
+ * BEGIN/END lines) and converts PuTTY keys to the OpenSSH format.
+ *
+ * Returns the `key` to use with its `format`, key `type`, `fingerprint`,
+ * whether it is `encrypted` and the `repairs` made. A key that is in none
+ * of the known formats comes back as it is with a null `format`, for ssh
+ * to judge. Throws for keys that cannot be used: public keys, damaged
+ * keys and encrypted keys without a `passphrase` (or with the wrong one,
+ * where it can be checked). Errors name `inputName` and never include the
+ * key itself.
+ */
+function inspectPrivateKey(input, { passphrase = '', inputName = 'private_key' } = {}) {
+    const repairs = [];
+    let text = input;
+    if (/\\n/.test(text)) {
+        text = text.replace(/(\\r)?\\n/g, '\n');
+        repairs.push('turned literal \\n escapes into line breaks');
+    }
+    if (text.includes('\r')) {
+        text = text.replace(/\r\n?/g, '\n');
+        repairs.push('converted CRLF line endings');
+    }
+    text = text.trim();
+
+    if (PUBLIC_KEY_LINE.test(text)) {
+        throw new Error(`${inputName} holds a public key (${text.split(' ')[0]}): use the private key, the file without .pub`);
+    }
+    if (PPK_HEADER.test(text.split('\n')[0])) {
+        repairs.push('converted from PuTTY PPK to OpenSSH');
+        return { ...convertPpk(text, inputName), format: 'PuTTY PPK', encrypted: false, repairs };
+    }
+
+    const found = readArmour(text, repairs);
+    if (!found || !PEM_FORMATS[found.label]) {
+        if (found && found.label.includes('PUBLIC KEY')) {
+            throw new Error(`${inputName} holds a ${found.label}: use the private key`);
+        }
+        return { key: input.endsWith('\n') ? input : `${input}\n`, format: null, type: null, fingerprint: null, encrypted: false, repairs: [] };
+    }
+    const { label, headers, data } = found;
+    const format = PEM_FORMATS[label];
+    if (!data) {
+        throw new Error(`${inputName} is a damaged ${format} key: its data is not base64`);
+    }
+    const key = armour(label, data, headers);
+
+    if (label === 'OPENSSH PRIVATE KEY') {
+        const { cipher, ...description } = describeOpenSsh(Buffer.from(data, 'base64'), inputName);
+        if (description.encrypted && !passphrase) {
+            throw new Error(`${inputName} is encrypted (${cipher}) and no passphrase was given to unlock it`);
+        }
+        return { key, format, ...description, repairs };
+    }
+
+    const encrypted = label === 'ENCRYPTED PRIVATE KEY' || headers.some((line) => /^Proc-Type: 4,ENCRYPTED$/i.test(line));
+    if (encrypted && !passphrase) {
+        throw new Error(`${inputName} is encrypted and no passphrase was given to unlock it`);
+    }
+    let keyObject;
+    try {
+        keyObject = crypto.createPrivateKey({ key, format: 'pem', ...(encrypted && { passphrase }) });
+    } catch {
+        throw new Error(encrypted
+            ? `${inputName} could not be unlocked: check passphrase`
+            : `${inputName} is a damaged ${format} key: it cannot be read`);
+    }
+    const blob = publicKeyBlob(keyObject);
+    return {
+        key,
+        format,
+        ...(blob ? describeBlob(blob, inputName) : { type: keyObject.asymmetricKeyType, fingerprint: null }),
+        encrypted,
+        repairs
+    };
+}
+
+/**
+ * One line describing an inspected key for the log, such as
+ * `OpenSSH ssh-ed25519 key SHA256:...`.
+ */
+function describePrivateKey({ format, type, fingerprint, encrypted }) {
+    return `${format} ${type} key ${fingerprint || '(no SSH fingerprint)'}${encrypted ? ', encrypted' : ''}`;
+}
+
+module.exports = {
+    inspectPrivateKey,
+    describePrivateKey
+};
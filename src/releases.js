@@ -0,0 +1,219 @@
+const { joinRemotePath, parseListingOutput, listRemoteTree } = require('./remote');
+const { runSftpBatch } = require('./sftp');
+
+const RELEASES_DIR = 'releases';
+const CURRENT_LINK = 'current';
+
+/**
+ * Pick the release directory name: an explicit name, else the workflow run
+ * id (with the attempt number when the run is re-run, as `<id>-<attempt>`),
+ * else the commit SHA, else a UTC timestamp.
+ */
+function resolveReleaseName(customName, processEnv = process.env) {
+    const { GITHUB_RUN_ID: runId, GITHUB_RUN_ATTEMPT: runAttempt } = processEnv;
+    const releaseName = customName
+        || (runId && Number(runAttempt) > 1 ? `${runId}-${runAttempt}` : runId)
+        || processEnv.GITHUB_SHA
+        || new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+
+    if (!/^[A-Za-z0-9._-]+$/.test(releaseName) || releaseName === '.' || releaseName === '..') {
+        throw new Error(`Invalid release name "${releaseName}": only letters, digits, ".", "_" and "-" are allowed`);
+    }
+    return releaseName;
+}
+
+function releasePathFor(remoteDir, releaseName) {
+    return joinRemotePath(remoteDir, `${RELEASES_DIR}/${releaseName}`);
+}
+
+/**
+ * Releases beyond the newest `keepReleases` (newest first, as listed by
+ * `inspectReleases`), never including any of the `protectedNames`.
+ */
+function selectReleasesToPrune(releases, keepReleases, protectedNames) {
+    return releases.slice(keepReleases).filter((name) => !protectedNames.includes(name));
+}
+
+/**
+ * sftp commands that recursively delete the given releases, using the
+ * listing of their contents (keyed relative to the releases directory).
+ * Every command may fail without stopping the batch, so a file that cannot
+ * be deleted only keeps its own directories around.
+ */
+function buildPruneCommands(releasesDir, releaseNames, remoteEntries) {
+    const files = [];
+    const directories = [];
+    for (const [relativePath, entry] of remoteEntries) {
+        (entry.type === 'directory' ? directories : files).push(relativePath);
+    }
+
+    const depth = (relativePath) => relativePath.split('/').length;
+    return [
+        ...files.map((file) => `-rm "${joinRemotePath(releasesDir, file)}"`),
+        ...[...directories, ...releaseNames]
+            .sort((a, b) => depth(b) - depth(a))
+            .map((directory) => `-rmdir "${joinRemotePath(releasesDir, directory)}"`)
+    ];
+}
+
+/**
+ * Make sure a release is not on the server yet. Uploading into an existing
+ * release, possibly the live one, would change it file by file, which is
+ * what release mode is there to avoid. Returns the live release, or null,
+ * so that a failed deploy can go back to exactly that one.
+ */
+async function checkNewRelease(connection, remoteDir, releaseName, dependencies) {
+    const { releases, current } = await inspectReleases(connection, remoteDir, dependencies);
+    if (releases.includes(releaseName)) {
+        throw new Error(`Release ${releaseName} already exists in ${joinRemotePath(remoteDir, RELEASES_DIR)}${releaseName === current ? ' and is live' : ''}: set a new release_name, or delete the old release first`);
+    }
+    return current;
+}
+
+/**
+ * Point `<remote_dir>/current` at a release. The new link is created under a
+ * temporary name and renamed over the old one, which OpenSSH performs as an
+ * atomic POSIX rename, so the live path never disappears.
+ *
+ * With `keepReleases`, old releases are pruned once the switch went
+ * through (see `pruneReleases`).
+ */
+async function switchRelease(connection, remoteDir, releaseName, dependencies, { keepReleases = 0 } = {}) {
+    const currentLink = joinRemotePath(remoteDir, CURRENT_LINK);
+    const temporaryLink = `${currentLink}.tmp`;
+
+    // The link target stays relative so the whole tree can be moved or mounted elsewhere
+    const commands = [
+        `-rm "${temporaryLink}"`,
+        `symlink "${RELEASES_DIR}/${releaseName}" "${temporaryLink}"`,
+        `rename "${temporaryLink}" "${currentLink}"`
+    ];
+
+    const result = await runSftpBatch(connection, 'sftp_release_batch', commands.join('\n') + '\n', dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to switch ${currentLink} to release ${releaseName}: ${result.stderr}`);
+    }
+    console.log(`${currentLink} now points to ${RELEASES_DIR}/${releaseName}`);
+
+    const pruned = keepReleases > 0 ? await pruneReleases(connection, remoteDir, releaseName, keepReleases, dependencies) : [];
+    return { pruned };
+}
+
+/**
+ * Delete all but the newest `keepReleases` releases, never `releaseName`
+ * (the live one), and return their names. Pruning is housekeeping: the
+ * release is live by then, so anything that goes wrong, such as a file
+ * the deploy user cannot delete, is a warning rather than a failed deploy.
+ */
+async function pruneReleases(connection, remoteDir, releaseName, keepReleases, dependencies) {
+    try {
+        const { releases } = await inspectReleases(connection, remoteDir, dependencies);
+        const newestFirst = [releaseName, ...releases.filter((name) => name !== releaseName)];
+        const pruned = selectReleasesToPrune(newestFirst, keepReleases, [releaseName]);
+        console.log(`Keeping ${keepReleases} releases, pruning ${pruned.length}: ${pruned.join(', ') || 'none'}`);
+        if (pruned.length === 0) {
+            return [];
+        }
+
+        const releasesDir = joinRemotePath(remoteDir, RELEASES_DIR);
+        const remoteEntries = await listRemoteTree(connection, releasesDir, dependencies, pruned);
+        const commands = buildPruneCommands(releasesDir, pruned, remoteEntries);
+        const result = await runSftpBatch(connection, 'sftp_prune_batch', commands.join('\n') + '\n', dependencies);
+        if (result.exitCode !== 0 || result.stderr.trim()) {
+            console.warn(`Some of releases ${pruned.join(', ')} could not be deleted: ${result.stderr.trim() || `sftp exited with code ${result.exitCode}`}`);
+        }
+        return pruned;
+    } catch (error) {
+        console.warn(`Pruning old releases failed: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * List the releases on the server, newest first, and find the one the
+ * `current` symlink points to. sftp has no readlink, so the link is resolved
+ * by changing into it and printing the working directory.
+ */
+async function inspectReleases(connection, remoteDir, dependencies) {
+    const releasesDir = joinRemotePath(remoteDir, RELEASES_DIR);
+    const batchFileContent = [
+        `-ls -lt "${releasesDir}"`,
+        `-cd "${joinRemotePath(remoteDir, CURRENT_LINK)}"`,
+        'pwd'
+    ].join('\n') + '\n';
+
+    const result = await runSftpBatch(connection, 'sftp_release_batch', batchFileContent, dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to list releases in ${releasesDir}: ${result.stderr}`);
+    }
+
+    const [entries = []] = parseListingOutput(result.stdout);
+    const releases = entries.filter((entry) => entry.type === 'directory').map((entry) => entry.name);
+
+    const pwdMatch = result.stdout.match(/^Remote working directory: (.+)$/m);
+    const resolvedPath = pwdMatch ? pwdMatch[1].trim().replace(/\/+$/, '') : '';
+    const linkedName = resolvedPath.split('/').pop();
+    const current = releases.includes(linkedName) && resolvedPath.endsWith(`/${RELEASES_DIR}/${linkedName}`)
+        ? linkedName
+        : null;
+
+    return { releases, current };
+}
+
+/**
+ * Choose the release to roll back to: the named one, or the one deployed
+ * right before the live release.
+ */
+function selectRollbackTarget({ releases, current }, requestedName) {
+    if (requestedName) {
+        if (!releases.includes(requestedName)) {
+            throw new Error(`Release ${requestedName} not found, available releases: ${releases.join(', ') || 'none'}`);
+        }
+        return requestedName;
+    }
+
+    if (!current) {
+        throw new Error(`Cannot tell which release is live (${CURRENT_LINK} is missing or not a release), set release_name to pick one`);
+    }
+
+    const previous = releases[releases.indexOf(current) + 1];
+    if (!previous) {
+        throw new Error(`No release older than ${current} to roll back to`);
+    }
+    return previous;
+}
+
+/**
+ * Repoint `current` to a previous (or named) release without uploading
+ * anything.
+ */
+async function rollbackRelease(connection, remoteDir, requestedName, dependencies) {
+    const inspection = await inspectReleases(connection, remoteDir, dependencies);
+    console.log(`Found ${inspection.releases.length} releases (newest first): ${inspection.releases.join(', ')}`);
+    console.log(`Live release: ${inspection.current || 'unknown'}`);
+
+    const releaseName = selectRollbackTarget(inspection, requestedName);
+    if (releaseName === inspection.current) {
+        console.log(`Release ${releaseName} is already live, nothing to roll back`);
+    } else {
+        console.log(`Rolling back to release ${releaseName}...`);
+        await switchRelease(connection, remoteDir, releaseName, dependencies);
+    }
+
+    return { releaseName, releasePath: releasePathFor(remoteDir, releaseName) };
+}
+
+module.exports = {
+    RELEASES_DIR,
+    CURRENT_LINK,
+    resolveReleaseName,
+    releasePathFor,
+    checkNewRelease,
+    switchRelease,
+    pruneReleases,
+    selectReleasesToPrune,
+    buildPruneCommands,
+    inspectReleases,
+    selectRollbackTarget,
+    rollbackRelease
+};
@@ -0,0 +1,92 @@
+const { runSftpBatch } = require('./sftp');
+
+// Long listing line: mode, links, owner, group, size, three date fields, name
+const LONG_LISTING_PATTERN = /^([-dlbcps])[-rwxsStT]{9}\S*\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\S+\s+\S+\s+\S+\s+(.+)$/;
+
+const ENTRY_TYPES = {
+    '-': 'file',
+    d: 'directory',
+    l: 'symlink'
+};
+
+function joinRemotePath(remoteDir, relativePath) {
+    return relativePath ? `${remoteDir.replace(/\/+$/, '')}/${relativePath}` : remoteDir;
+}
+
+/**
+ * Split the stdout of an sftp batch made of `ls -la` commands into one list
+ * of entries per command. sftp echoes every batch command as `sftp> ...`,
+ * which marks where the output of the next listing starts.
+ */
+function parseListingOutput(stdout) {
+    const sections = [];
+    for (const line of stdout.split('\n')) {
+        if (line.startsWith('sftp> ')) {
+            sections.push([]);
+            continue;
+        }
+
+        const match = sections.length > 0 && line.trimEnd().match(LONG_LISTING_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const [, typeFlag, size, name] = match;
+        if (name === '.' || name === '..') {
+            continue;
+        }
+
+        sections[sections.length - 1].push({
+            name,
+            type: ENTRY_TYPES[typeFlag] || 'other',
+            size: Number(size)
+        });
+    }
+    return sections;
+}
+
+/**
+ * List everything below a remote directory. Each depth level is listed in
+ * one SFTP session, so the number of connections grows with the depth of
+ * the tree rather than with the number of directories.
+ *
+ * Returns a Map of relative path to `{ type, size }`. Symlinks are listed
+ * but not followed. A missing remote directory yields an empty Map.
+ * `roots` limits the walk to some subdirectories of `remoteDir`; their
+ * contents are still keyed relative to `remoteDir`.
+ */
+async function listRemoteTree(connection, remoteDir, dependencies, roots = ['']) {
+    const entries = new Map();
+    let pending = [...roots];
+
+    while (pending.length > 0) {
+        const batchFileContent = pending
+            .map((relativeDir) => `-ls -la "${joinRemotePath(remoteDir, relativeDir)}"\n`)
+            .join('');
+        const result = await runSftpBatch(connection, 'sftp_list_batch', batchFileContent, dependencies);
+        if (result.exitCode !== 0) {
+            throw new Error(`Failed to list remote directory ${remoteDir}: ${result.stderr}`);
+        }
+
+        const sections = parseListingOutput(result.stdout);
+        const next = [];
+        pending.forEach((relativeDir, index) => {
+            for (const entry of sections[index] || []) {
+                const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                entries.set(relativePath, { type: entry.type, size: entry.size });
+                if (entry.type === 'directory') {
+                    next.push(relativePath);
+                }
+            }
+        });
+        pending = next;
+    }
+
+    return entries;
+}
+
+module.exports = {
+    joinRemotePath,
+    parseListingOutput,
+    listRemoteTree
+};
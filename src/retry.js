@@ -0,0 +1,184 @@
+const { EMPTY_DELETIONS, buildPutCommand, buildPermissionCommands, buildMappingsBatch } = require('./batch');
+const { joinRemotePath, parseListingOutput } = require('./remote');
+const { runSftpBatch } = require('./sftp');
+const { wait } = require('./wait');
+
+// stderr lines that mean the session itself broke, as opposed to a failing command
+const CONNECTION_FAILURE_PATTERNS = [
+    /Connection (to \S+ )?closed/i,
+    /Connection (reset|refused|timed out)/i,
+    /Broken pipe/i,
+    /kex_exchange_identification/i,
+    /Network is unreachable/i,
+    /No route to host/i,
+    /Temporary failure in name resolution/i
+];
+
+// ssh also exits with 255 for these, but connecting again gives the same answer
+const PERMANENT_FAILURE_PATTERNS = [
+    /Permission denied \(/i,
+    /Too many authentication failures/i,
+    /Host key verification failed/i,
+    /REMOTE HOST IDENTIFICATION HAS CHANGED/i,
+    /Could not resolve hostname/i
+];
+
+/**
+ * Whether a failed sftp run lost its connection. ssh exits with 255 when it
+ * cannot connect; a session dropped half way through is recognised from
+ * its error output. Failed authentication and host key checks are not
+ * connection failures, retrying them only delays the same error. `-v`
+ * debug lines are ignored.
+ */
+function isConnectionFailure(result) {
+    const errors = (result.stderr || '').split('\n').filter((line) => !line.startsWith('debug'));
+    if (errors.some((line) => PERMANENT_FAILURE_PATTERNS.some((pattern) => pattern.test(line)))) {
+        return false;
+    }
+    if (result.exitCode === 255) {
+        return true;
+    }
+    return errors.some((line) => CONNECTION_FAILURE_PATTERNS.some((pattern) => pattern.test(line)));
+}
+
+/**
+ * Delay before the given retry (1 for the first one): `baseDelay` seconds,
+ * doubled for every further retry. Returned in milliseconds.
+ */
+function backoffDelay(retry, baseDelay) {
+    return baseDelay * 1000 * 2 ** (retry - 1);
+}
+
+/**
+ * Drop everything an interrupted batch already did from its sections.
+ *
+ * sftp echoes each batch command as `sftp> ...` before running it, so every
+ * echoed command but the last one completed. The last one was cut off: a
+ * `put` is returned as `interrupted` (its file stays in the sections) while
+ * an `rm` or `rmdir` is assumed done, since running it twice would fail and
+ * a leftover orphan is removed on the next mirror run anyway. Uploaded files
+ * whose `chmod`/`chgrp` did not complete are sent again.
+ */
+function remainingSections(sections, stdout) {
+    const executed = (stdout || '')
+        .split('\n')
+        .filter((line) => line.startsWith('sftp> '))
+        .map((line) => line.slice('sftp> '.length).trim());
+    const lastCommand = executed.pop();
+
+    const finished = new Set(executed);
+    const completed = new Map();
+    for (const command of executed) {
+        completed.set(command, (completed.get(command) || 0) + 1);
+    }
+    if (lastCommand && !/^(re)?put /.test(lastCommand)) {
+        completed.set(lastCommand, (completed.get(lastCommand) || 0) + 1);
+    }
+    const take = (command) => {
+        const count = completed.get(command) || 0;
+        if (count === 0) {
+            return false;
+        }
+        completed.set(command, count - 1);
+        return true;
+    };
+
+    let interrupted = null;
+    const remaining = sections.map((section) => {
+        const deletions = section.options.deletions || EMPTY_DELETIONS;
+        const files = section.tree.files.filter((file) => {
+            const command = buildPutCommand(file);
+            // A file only counts as done once its chmod/chgrp went through as well
+            const permissionsApplied = buildPermissionCommands(file.relativePath, file)
+                .split('\n')
+                .every((permissionCommand) => !permissionCommand || finished.has(permissionCommand));
+            if (take(command) && permissionsApplied) {
+                return false;
+            }
+            if (!interrupted && command === lastCommand) {
+                interrupted = { remoteDir: section.remoteDir, file };
+            }
+            return true;
+        });
+
+        return {
+            ...section,
+            tree: { ...section.tree, files },
+            options: {
+                ...section.options,
+                deletions: {
+                    files: deletions.files.filter((file) => !take(`rm "${file}"`)),
+                    directories: deletions.directories.filter((directory) => !take(`rmdir "${directory}"`))
+                }
+            }
+        };
+    });
+
+    return { sections: remaining, interrupted };
+}
+
+/**
+ * Look at what the interrupted upload left on the server: a complete file
+ * is skipped (unless it still needs its permissions set), a partial one is
+ * resumed with `reput`, and anything else (missing, or larger than the
+ * local file) is uploaded again. The listing is named after the session's
+ * batch, since parallel sessions share one temp directory and prefix.
+ */
+async function resumeInterrupted(connection, sections, interrupted, { batchName = 'sftp_batch' } = {}, dependencies) {
+    const remotePath = joinRemotePath(interrupted.remoteDir, interrupted.file.relativePath);
+    const result = await runSftpBatch(connection, `${batchName}_resume`, `-ls -l "${remotePath}"\n`, dependencies);
+    const [entry] = result.exitCode === 0 ? parseListingOutput(result.stdout)[0] || [] : [];
+    const remoteSize = entry ? entry.size : 0;
+    const { file: interruptedFile } = interrupted;
+    const complete = remoteSize === interruptedFile.size && !interruptedFile.mode && !interruptedFile.group;
+    const partial = remoteSize > 0 && remoteSize < interruptedFile.size;
+
+    if (complete) {
+        console.log(`${interruptedFile.relativePath} was uploaded completely before the connection dropped`);
+    } else if (partial) {
+        console.log(`Resuming ${interruptedFile.relativePath} from byte ${remoteSize} of ${interruptedFile.size}`);
+    }
+
+    return sections.map((section) => ({
+        ...section,
+        tree: {
+            ...section.tree,
+            files: section.tree.files
+                .filter((file) => file !== interruptedFile || !complete)
+                .map((file) => (file === interruptedFile && partial ? { ...file, resume: true } : file))
+        }
+    }));
+}
+
+/**
+ * Run the batch built from `sections` with `runBatch(content)` and, when the
+ * connection drops, run it again after an exponential backoff, up to
+ * `retries` more times. Each new attempt only carries what the previous
+ * one did not finish. Returns the result of the last attempt; failures that
+ * are not connection-level are returned straight away. `batchName` is the
+ * session's batch, which the files written to resume it are named after.
+ */
+async function runBatchWithRetries(connection, sections, runBatch, { retries = 0, retryDelay = 0, label = 'SFTP session', batchName } = {}, dependencies) {
+    let pending = sections;
+    for (let attempt = 0; ; attempt += 1) {
+        const result = await runBatch(buildMappingsBatch(pending));
+        if (result.exitCode === 0 || attempt >= retries || !isConnectionFailure(result)) {
+            return result;
+        }
+
+        const delay = backoffDelay(attempt + 1, retryDelay);
+        console.warn(`${label} lost its connection, retrying in ${delay / 1000}s (attempt ${attempt + 2} of ${retries + 1})...`);
+        await wait(delay);
+
+        const { sections: remaining, interrupted } = remainingSections(pending, result.stdout);
+        pending = interrupted ? await resumeInterrupted(connection, remaining, interrupted, { batchName }, dependencies) : remaining;
+    }
+}
+
+module.exports = {
+    isConnectionFailure,
+    backoffDelay,
+    remainingSections,
+    resumeInterrupted,
+    runBatchWithRetries
+};
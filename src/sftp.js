@@ -0,0 +1,143 @@
+/**
+ * Options shared by every sftp and ssh invocation of a connection.
+ *
+ * A connection with a `knownHostsFile` (see `prepareKnownHosts`) only
+ * accepts the host keys listed there. Without one, host keys are not
+ * checked at all, which is only the case when verification was turned off.
+ *
+ * Connections authenticate with their `identityFile`; with
+ * `authentication: 'agent'` only through the keys in the ssh-agent of
+ * `SSH_AUTH_SOCK`; or, with `authentication: 'password'`, by answering
+ * password and keyboard-interactive prompts through the `SSH_ASKPASS`
+ * helper set up in the environment (see `createAskpass`). Key and agent
+ * connections also offer their `certificateFile`, when they have one.
+ *
+ * A connection with a `jump` host (see `prepareJumpHost`) goes through it
+ * with ProxyJump. The jump hop is configured in its own ssh config file,
+ * since options given on the command line only apply to the last hop.
+ */
+function buildSshOptions(connection) {
+    const jumpOptions = connection.jump
+        ? ['-F', connection.jump.configFile, '-o', `ProxyJump=${connection.jump.alias}`]
+        : [];
+    const hostKeyOptions = connection.knownHostsFile
+        ? ['-o', 'StrictHostKeyChecking=yes', '-o', `UserKnownHostsFile=${connection.knownHostsFile}`, '-o', 'GlobalKnownHostsFile=/dev/null']
+        : ['-o', 'StrictHostKeyChecking=no', '-o', 'UserKnownHostsFile=/dev/null'];
+    const authenticationOptions = {
+        // sftp -b turns BatchMode on, which disables prompts, but ssh keeps the first value given for an option
+        password: ['-o', 'BatchMode=no', '-o', 'PreferredAuthentications=password,keyboard-interactive', '-o', 'PubkeyAuthentication=no', '-o', 'NumberOfPasswordPrompts=1'],
+        agent: ['-o', 'PreferredAuthentications=publickey']
+    }[connection.authentication] || ['-i', connection.identityFile];
+    const certificateOptions = connection.certificateFile && connection.authentication !== 'password'
+        ? ['-o', `CertificateFile=${connection.certificateFile}`]
+        : [];
+    return [...jumpOptions, ...hostKeyOptions, ...authenticationOptions, ...certificateOptions];
+}
+
+/**
+ * Build the sftp command line for a batch file.
+ *
+ * `connection` carries the host, port, username and how to authenticate
+ * (see `buildSshOptions`).
+ */
+function buildSftpCommand(connection, batchFilePath) {
+    const { host, port, username } = connection;
+    return `sftp -v ${buildSshOptions(connection).join(' ')} -b ${batchFilePath} -P ${port} ${username}@${host}`;
+}
+
+function mentionsHost(line, host) {
+    const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[\\s@[])${escaped}([\\s:\\]]|$)`).test(line);
+}
+
+/**
+ * Explain why an sftp or ssh call could not connect, from its stderr,
+ * naming the hop that failed: the jump host itself (its ssh reports errors
+ * with its host name), the jump host forwarding to the target, or the
+ * target.
+ */
+function describeConnectionFailure(connection, stderr) {
+    const { host, port, username, jump } = connection;
+    const details = stderr.split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !/^(debug\d+:|OpenSSH_|sftp>)/.test(line));
+
+    if (jump) {
+        const jumpDetails = details.filter((line) => mentionsHost(line, jump.host));
+        if (jumpDetails.length > 0) {
+            return `jump host ${jump.username}@${jump.host}:${jump.port} failed: ${jumpDetails.join('; ')}`;
+        }
+        const forwardDetails = details.filter((line) => /open failed|stdio forwarding failed/.test(line));
+        if (forwardDetails.length > 0) {
+            return `jump host ${jump.username}@${jump.host}:${jump.port} could not reach ${host}:${port}: ${forwardDetails.join('; ')}`;
+        }
+    }
+    return `${username}@${host}:${port} failed: ${details.join('; ') || 'no error output'}`;
+}
+
+/**
+ * Quote a value for the remote POSIX shell.
+ */
+function shellQuote(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Run a shell script on the server over an ssh exec channel. The script is
+ * fed to `sh -s` on stdin so it needs no quoting for the command line.
+ * Like `runSftpBatch`, the exit code is returned rather than thrown, and
+ * output is not echoed unless `silent` is turned off.
+ */
+async function runSshScript(connection, script, { execModule }, { silent = true } = {}) {
+    const { host, port, username } = connection;
+    return execModule.getExecOutput('ssh', [...buildSshOptions(connection), '-p', String(port), `${username}@${host}`, 'sh -s'], {
+        input: Buffer.from(script),
+        ignoreReturnCode: true,
+        silent
+    });
+}
+
+/**
+ * Local temporary file for a connection. When several hosts are deployed in
+ * parallel each connection carries its own `tempPrefix`, so their batch and
+ * manifest files do not overwrite each other.
+ */
+function tempFilePath(connection, name, { osModule, pathModule }) {
+    return pathModule.join(osModule.tmpdir(), `${connection.tempPrefix || ''}${name}`);
+}
+
+/**
+ * Run an SFTP session (fetching a manifest, listing a directory, one shard
+ * of a parallel upload, ...) from its own batch file, which is removed
+ * afterwards. The exit code is returned rather than thrown, and output is
+ * not echoed to the log. The single-session upload batch is run by
+ * deploy.js so its output stays visible.
+ */
+async function runSftpBatch(connection, batchName, batchFileContent, dependencies) {
+    const { execModule, fsModule } = dependencies;
+    const batchFilePath = tempFilePath(connection, batchName, dependencies);
+
+    await fsModule.promises.writeFile(batchFilePath, batchFileContent);
+    try {
+        return await execModule.getExecOutput(buildSftpCommand(connection, batchFilePath), [], {
+            ignoreReturnCode: true,
+            silent: true
+        });
+    } finally {
+        try {
+            await fsModule.promises.unlink(batchFilePath);
+        } catch (err) {
+            console.warn(`Error deleting batch file ${batchFilePath}:`, err);
+        }
+    }
+}
+
+module.exports = {
+    buildSshOptions,
+    buildSftpCommand,
+    describeConnectionFailure,
+    tempFilePath,
+    runSftpBatch,
+    shellQuote,
+    runSshScript
+};
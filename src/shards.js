@@ -0,0 +1,110 @@
+const { EMPTY_DELETIONS } = require('./batch');
+const { runBatchWithRetries } = require('./retry');
+const { runSftpBatch } = require('./sftp');
+
+/**
+ * Split files into at most `shardCount` shards of similar total size:
+ * largest files first, each going to the currently lightest shard.
+ * Empty shards are dropped.
+ */
+function splitIntoShards(files, shardCount) {
+    const shards = Array.from({ length: shardCount }, () => ({ files: [], bytes: 0 }));
+    const largestFirst = [...files].sort((a, b) => (b.size || 0) - (a.size || 0));
+
+    for (const file of largestFirst) {
+        const lightest = shards.reduce((min, shard) => (shard.bytes < min.bytes ? shard : min));
+        lightest.files.push(file);
+        lightest.bytes += file.size || 0;
+    }
+    return shards.filter((shard) => shard.files.length > 0);
+}
+
+function runSession(connection, batchName, sections, retryOptions, dependencies) {
+    const runBatch = (batchFileContent) => runSftpBatch(connection, batchName, batchFileContent, dependencies);
+    return runBatchWithRetries(connection, sections, runBatch, { ...retryOptions, label: batchName, batchName }, dependencies);
+}
+
+async function runPhase(connection, batchName, sections, description, retryOptions, dependencies) {
+    const result = await runSession(connection, batchName, sections, retryOptions, dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to ${description}: ${result.stderr}`);
+    }
+}
+
+/**
+ * Transfer the sections of a mappings batch (see `buildMappingsBatch`) over
+ * several SFTP sessions at once.
+ *
+ * Directories are created first in one session, then the files are split
+ * into size-balanced shards that are uploaded in parallel, and deletions
+ * and directory attributes run last, only if every shard succeeded. Each
+ * session is retried on its own when its connection drops (see
+ * `runBatchWithRetries`). Returns one report entry per shard and throws
+ * with the failed shards if any of them failed.
+ */
+async function runShardedTransfer(connection, sections, concurrency, dependencies, retryOptions = {}) {
+    console.log('Creating remote directories...');
+    await runPhase(connection, 'sftp_batch_dirs', sections.map((section) => ({
+        remoteDir: section.remoteDir,
+        tree: { directories: section.tree.directories, files: [] },
+        options: { parents: section.options.parents }
+    })), 'create remote directories', retryOptions, dependencies);
+
+    const files = sections.flatMap((section, sectionIndex) => section.tree.files.map((file) => ({ ...file, sectionIndex })));
+    const shards = splitIntoShards(files, concurrency);
+    console.log(`Uploading ${files.length} files in ${shards.length} parallel sessions...`);
+
+    const results = await Promise.allSettled(shards.map((shard, index) => {
+        const shardSections = sections
+            .map((section, sectionIndex) => ({
+                remoteDir: section.remoteDir,
+                tree: { directories: [], files: shard.files.filter((file) => file.sectionIndex === sectionIndex) },
+                options: {}
+            }))
+            .filter((section) => section.tree.files.length > 0);
+        return runSession(connection, `sftp_batch_${index + 1}`, shardSections, retryOptions, dependencies);
+    }));
+
+    const report = shards.map((shard, index) => {
+        const { status, value, reason } = results[index];
+        const error = status === 'rejected'
+            ? reason.message
+            : (value.exitCode !== 0 ? value.stderr.trim() || `exit code ${value.exitCode}` : null);
+        return { shard: index + 1, files: shard.files.length, bytes: shard.bytes, ok: !error, error };
+    });
+
+    console.log('Transfer report:');
+    report.forEach((entry) => {
+        console.log(`  shard ${entry.shard}: ${entry.files} files, ${entry.bytes} bytes - ${entry.ok ? 'ok' : `FAILED (${entry.error})`}`);
+    });
+
+    const failed = report.filter((entry) => !entry.ok);
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${report.length} transfer shards failed: ${failed.map((entry) => `shard ${entry.shard}: ${entry.error}`).join('; ')}`);
+    }
+
+    // Deletions and directory attributes and permissions wait until every file is in place
+    const finalSections = sections.filter((section) => {
+        const { deletions = EMPTY_DELETIONS, directoryAttributes = [], directoryPermissions = [] } = section.options;
+        return deletions.files.length > 0 || deletions.directories.length > 0 || directoryAttributes.length > 0 || directoryPermissions.length > 0;
+    });
+    if (finalSections.length > 0) {
+        console.log('Deleting orphaned files and updating directories...');
+        await runPhase(connection, 'sftp_batch_deletions', finalSections.map((section) => ({
+            remoteDir: section.remoteDir,
+            tree: { directories: [], files: [] },
+            options: {
+                deletions: section.options.deletions,
+                directoryAttributes: section.options.directoryAttributes,
+                directoryPermissions: section.options.directoryPermissions
+            }
+        })), 'delete orphaned files and update directories', retryOptions, dependencies);
+    }
+
+    return report;
+}
+
+module.exports = {
+    splitIntoShards,
+    runShardedTransfer
+};
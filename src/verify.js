@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { listRemoteTree } = require('./remote');
+const { hashFile } = require('./manifest');
+const { shellQuote, runSshScript } = require('./sftp');
+
+const VERIFY_MODES = ['none', 'size', 'checksum'];
+
+// Files hashed per command line, well below any ARG_MAX
+const CHECKSUM_BATCH_SIZE = 100;
+
+/**
+ * Compare uploaded files with a listing of the remote directory (see
+ * `listRemoteTree`). Returns one `{ path, problem }` entry per file that is
+ * missing, not a regular file or of a different size.
+ */
+function compareWithListing(files, remoteEntries) {
+    const mismatches = [];
+    for (const file of files) {
+        const entry = remoteEntries.get(file.relativePath);
+        if (!entry) {
+            mismatches.push({ path: file.relativePath, problem: 'missing' });
+        } else if (entry.type !== 'file') {
+            mismatches.push({ path: file.relativePath, problem: `${entry.type} instead of a file` });
+        } else if (entry.size !== file.size) {
+            mismatches.push({ path: file.relativePath, problem: `${entry.size} bytes, expected ${file.size}` });
+        }
+    }
+    return mismatches;
+}
+
+/**
+ * Shell script printing the SHA-256 of each path relative to `remoteDir`,
+ * one line per file in the order given. Uses `sha256sum`, or `shasum` where
+ * coreutils are missing (BSD, macOS).
+ */
+function buildChecksumScript(remoteDir, relativePaths) {
+    const lines = [
+        'set -e',
+        `cd ${shellQuote(remoteDir)}`,
+        'if command -v sha256sum >/dev/null 2>&1; then hash="sha256sum"; else hash="shasum -a 256"; fi'
+    ];
+    for (let index = 0; index < relativePaths.length; index += CHECKSUM_BATCH_SIZE) {
+        const batch = relativePaths.slice(index, index + CHECKSUM_BATCH_SIZE);
+        lines.push(`$hash -- ${batch.map((relativePath) => shellQuote(relativePath)).join(' ')}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Hashes from `sha256sum` output, in order. Names containing a backslash or
+ * a newline are escaped and the line prefixed with `\`, so only the hash at
+ * the start of each line is read.
+ */
+function parseChecksumOutput(stdout) {
+    return stdout
+        .split('\n')
+        .map((line) => line.match(/^\\?([0-9a-f]{64})\s/))
+        .filter(Boolean)
+        .map((match) => match[1]);
+}
+
+async function compareChecksums(connection, remoteDir, files, dependencies) {
+    const { fsModule = fs } = dependencies;
+    const result = await runSshScript(connection, buildChecksumScript(remoteDir, files.map((file) => file.relativePath)), dependencies);
+    if (result.exitCode !== 0) {
+        throw new Error(`Failed to compute checksums in ${remoteDir}: ${result.stderr}`);
+    }
+
+    const remoteHashes = parseChecksumOutput(result.stdout);
+    return files
+        .map((file, index) => ({ file, expected: hashFile(file.localPath, fsModule), actual: remoteHashes[index] }))
+        .filter(({ expected, actual }) => expected !== actual)
+        .map(({ file, expected, actual }) => ({
+            path: file.relativePath,
+            problem: `checksum ${actual ? actual.slice(0, 12) : 'unavailable'}, expected ${expected.slice(0, 12)}`
+        }));
+}
+
+/**
+ * Check that every file uploaded in `sections` arrived: the remote
+ * directory is listed recursively and each file must exist with its local
+ * size. In `checksum` mode files that pass are also hashed on the server
+ * over ssh (which needs a shell) and compared with the local SHA-256.
+ *
+ * Throws with every mismatch, one line per file.
+ */
+async function verifyUpload(connection, sections, { mode }, dependencies) {
+    const mismatches = [];
+    let checked = 0;
+
+    for (const section of sections) {
+        const files = section.tree.files;
+        if (files.length === 0) {
+            continue;
+        }
+
+        console.log(`Verifying ${files.length} uploaded files in ${section.remoteDir}...`);
+        const remoteEntries = await listRemoteTree(connection, section.remoteDir, dependencies);
+        const sectionMismatches = compareWithListing(files, remoteEntries);
+        if (mode === 'checksum') {
+            const failed = new Set(sectionMismatches.map((mismatch) => mismatch.path));
+            const candidates = files.filter((file) => !failed.has(file.relativePath));
+            if (candidates.length > 0) {
+                sectionMismatches.push(...await compareChecksums(connection, section.remoteDir, candidates, dependencies));
+            }
+        }
+
+        checked += files.length;
+        mismatches.push(...sectionMismatches.map((mismatch) => ({ ...mismatch, remoteDir: section.remoteDir })));
+    }
+
+    if (mismatches.length > 0) {
+        const lines = mismatches.map((mismatch) => `  ${mismatch.remoteDir}: ${mismatch.path}: ${mismatch.problem}`);
+        throw new Error(`Verification failed for ${mismatches.length} of ${checked} uploaded files:\n${lines.join('\n')}`);
+    }
+    console.log(`Verified ${checked} uploaded files (${mode === 'checksum' ? 'sizes and checksums' : 'sizes'})`);
+}
+
+module.exports = {
+    VERIFY_MODES,
+    compareWithListing,
+    buildChecksumScript,
+    parseChecksumOutput,
+    verifyUpload
+};
@@ -0,0 +1,7 @@
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+module.exports = {
+    wait
+};
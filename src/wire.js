@@ -0,0 +1,34 @@
+/**
+ * Read the SSH wire format (RFC 4251): big-endian integers and
+ * length-prefixed strings, as found in keys and certificates. A read past
+ * the end throws `<context>: it is truncated`.
+ */
+function createReader(buffer, context) {
+    let offset = 0;
+    const take = (length) => {
+        if (offset + length > buffer.length) {
+            throw new Error(`${context}: it is truncated`);
+        }
+        offset += length;
+        return buffer.subarray(offset - length, offset);
+    };
+    return {
+        uint32: () => take(4).readUInt32BE(0),
+        uint64: () => take(8).readBigUInt64BE(0),
+        string: () => take(take(4).readUInt32BE(0))
+    };
+}
+
+/**
+ * Encode a string or buffer as an SSH wire-format string.
+ */
+function sshString(value) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(value.length, 0);
+    return Buffer.concat([length, Buffer.from(value)]);
+}
+
+module.exports = {
+    createReader,
+    sshString
+};
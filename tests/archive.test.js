@@ -0,0 +1,145 @@
+const {
+  archivePathsFor,
+  buildExtractScript,
+  supportsArchiveTransfer,
+  runArchiveTransfer
+} = require('../src/archive');
+const { shellQuote } = require('../src/sftp');
+
+describe('Archive Transfers', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  let files;
+  let dependencies;
+
+  beforeEach(() => {
+    files = {};
+    dependencies = {
+      execModule: {
+        exec: jest.fn().mockResolvedValue(0),
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn((filePath, content) => {
+            files[filePath] = content;
+            return Promise.resolve();
+          }),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  test('should quote values for the remote shell', () => {
+    expect(shellQuote('/var/www/html')).toBe("'/var/www/html'");
+    expect(shellQuote("it's")).toBe("'it'\\''s'");
+  });
+
+  test('should stage inside the target directory', () => {
+    expect(archivePathsFor('/var/www/html/')).toEqual({
+      archive: '/var/www/html/.deploy-archive.tar.gz',
+      staging: '/var/www/html/.deploy-staging'
+    });
+    expect(archivePathsFor('html')).toEqual({
+      archive: 'html/.deploy-archive.tar.gz',
+      staging: 'html/.deploy-staging'
+    });
+  });
+
+  test('should extract into staging and move files into place', () => {
+    const script = buildExtractScript('/var/www/html/.deploy-archive.tar.gz', '/var/www/html/.deploy-staging', '/var/www/html');
+
+    expect(script).toContain("archive='/var/www/html/.deploy-archive.tar.gz'");
+    expect(script).toContain('tar -xzf "$archive" -C "$staging"');
+    expect(script.indexOf('mv -f')).toBeGreaterThan(script.indexOf('tar -xzf'));
+    // Cleanup also runs when a step fails and set -e ends the script
+    expect(script.indexOf('trap \'cd "$start"; rm -f "$archive"; rm -rf "$staging"\' EXIT')).toBeLessThan(script.indexOf('tar -xzf'));
+  });
+
+  test('should keep archived modes when preserving attributes', () => {
+    const script = buildExtractScript('/var/www/html/.deploy-archive.tar.gz', '/var/www/html/.deploy-staging', '/var/www/html', { preserve: true });
+
+    expect(script).toContain('tar -xzpf "$archive" -C "$staging"');
+  });
+
+  test('should detect servers that only allow internal-sftp', async () => {
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: 'deploy-archive-supported\n', stderr: '', exitCode: 0 });
+    expect(await supportsArchiveTransfer(connection, dependencies)).toBe(true);
+
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr: 'This service allows sftp connections only.\n', exitCode: 1 });
+    expect(await supportsArchiveTransfer(connection, dependencies)).toBe(false);
+
+    const [command, args, options] = dependencies.execModule.getExecOutput.mock.calls[0];
+    expect(command).toBe('ssh');
+    expect(args.slice(-3)).toEqual(['22', 'test-user@test-host', 'sh -s']);
+    expect(options.input.toString()).toContain('command -v tar');
+  });
+
+  test('should pack, upload and extract each section, then delete orphans', async () => {
+    await runArchiveTransfer(connection, [{
+      sourceDir: './dist',
+      remoteDir: '/var/www/html',
+      tree: {
+        directories: ['assets'],
+        files: [{ localPath: './dist/index.html', relativePath: 'index.html', size: 10 }, { localPath: './dist/assets/app.js', relativePath: 'assets/app.js', size: 20 }]
+      },
+      options: { parents: [], deletions: { files: ['old.html'], directories: [] } }
+    }], dependencies);
+
+    expect(files['/tmp/deploy_archive_1.tar.gz.list']).toBe('assets\nindex.html\nassets/app.js\n');
+    expect(dependencies.execModule.exec).toHaveBeenCalledWith('tar', [
+      '--no-recursion', '-czf', '/tmp/deploy_archive_1.tar.gz', '-C', './dist', '-T', '/tmp/deploy_archive_1.tar.gz.list'
+    ]);
+    expect(files['/tmp/sftp_archive_batch']).toBe('-mkdir /var/www/html\nput "/tmp/deploy_archive_1.tar.gz" "/var/www/html/.deploy-archive.tar.gz"\n');
+    expect(dependencies.fsModule.promises.unlink).toHaveBeenCalledWith('/tmp/deploy_archive_1.tar.gz');
+
+    const [, , extractOptions] = dependencies.execModule.getExecOutput.mock.calls.find(([command]) => command === 'ssh');
+    expect(extractOptions.input.toString()).toContain("target='/var/www/html'");
+    expect(files['/tmp/sftp_batch_deletions']).toBe('-mkdir /var/www/html\ncd /var/www/html\nrm "old.html"\n');
+  });
+
+  test('should fall back to per-file transfer when the archive cannot be extracted', async () => {
+    dependencies.execModule.getExecOutput.mockImplementation((command) => Promise.resolve(
+      command === 'ssh' ? { stdout: '', stderr: 'tar: invalid magic\n', exitCode: 2 } : { stdout: '', stderr: '', exitCode: 0 }
+    ));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await runArchiveTransfer(connection, [{
+      sourceDir: './dist',
+      remoteDir: '/var/www/html',
+      tree: { directories: [], files: [{ localPath: './dist/index.html', relativePath: 'index.html', size: 10 }] },
+      options: { deletions: { files: ['old.html'], directories: [] } }
+    }], dependencies);
+
+    expect(warn).toHaveBeenCalledWith('Failed to extract archive into /var/www/html: tar: invalid magic, falling back to per-file transfer');
+    expect(files['/tmp/sftp_archive_batch']).toBe('-rm "/var/www/html/.deploy-archive.tar.gz"\n');
+    expect(files['/tmp/sftp_archive_fallback_batch']).toBe('-mkdir /var/www/html\ncd /var/www/html\nput "./dist/index.html" "index.html"\n');
+    expect(files['/tmp/sftp_batch_deletions']).toBe('-mkdir /var/www/html\ncd /var/www/html\nrm "old.html"\n');
+    warn.mockRestore();
+  });
+
+  test('should remove the remote archive and fail when the fallback fails too', async () => {
+    dependencies.execModule.getExecOutput.mockImplementation((command) => Promise.resolve(
+      command.includes('sftp_archive_batch') && files['/tmp/sftp_archive_batch'].includes('put ')
+        ? { stdout: '', stderr: 'Permission denied\n', exitCode: 1 }
+        : command.includes('sftp_archive_fallback_batch')
+          ? { stdout: '', stderr: 'No space left on device\n', exitCode: 1 }
+          : { stdout: '', stderr: '', exitCode: 0 }
+    ));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(runArchiveTransfer(connection, [{
+      sourceDir: './dist',
+      remoteDir: '/var/www/html',
+      tree: { directories: [], files: [{ localPath: './dist/index.html', relativePath: 'index.html', size: 10 }] },
+      options: {}
+    }], dependencies)).rejects.toThrow('Failed to upload files to /var/www/html: No space left on device');
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed to upload archive to /var/www/html/.deploy-archive.tar.gz: Permission denied'));
+    expect(dependencies.execModule.getExecOutput).not.toHaveBeenCalledWith('ssh', expect.anything(), expect.anything());
+    expect(files['/tmp/sftp_archive_batch']).toBe('-rm "/var/www/html/.deploy-archive.tar.gz"\n');
+    warn.mockRestore();
+  });
+});
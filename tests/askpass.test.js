@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ASKPASS_SECRET_VARIABLE, buildAskpassScript, createAskpass, removeAskpass } = require('../src/askpass');
+
+describe('Askpass Helper', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'askpass-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should not contain the secret', () => {
+    expect(buildAskpassScript()).toBe(`#!/bin/sh\nprintf '%s\\n' "$${ASKPASS_SECRET_VARIABLE}"\n`);
+  });
+
+  test('should answer prompts with the secret from the environment', async () => {
+    const helperPath = path.join(tempDir, 'askpass');
+    const env = await createAskpass("pa$$ 'word' \\n", helperPath, {}, { fsModule: fs, processEnv: {} });
+
+    expect(env).toEqual({
+      SSH_ASKPASS: helperPath,
+      SSH_ASKPASS_REQUIRE: 'force',
+      DISPLAY: ':0',
+      [ASKPASS_SECRET_VARIABLE]: "pa$$ 'word' \\n"
+    });
+    expect(fs.statSync(helperPath).mode & 0o777).toBe(0o700);
+    expect(fs.readFileSync(helperPath, 'utf8')).not.toContain('word');
+    expect(execFileSync(helperPath, ['Password: '], { env, encoding: 'utf8' })).toBe("pa$$ 'word' \\n\n");
+  });
+
+  test('should keep an existing display', async () => {
+    const env = await createAskpass('secret', path.join(tempDir, 'askpass'), {}, { fsModule: fs, processEnv: { DISPLAY: ':99' } });
+
+    expect(env.DISPLAY).toBe(':99');
+  });
+
+  test('should answer only the first prompt when asked to', async () => {
+    const helperPath = path.join(tempDir, 'askpass');
+    const env = await createAskpass('secret', helperPath, { once: true }, { fsModule: fs, processEnv: {} });
+
+    expect(execFileSync(helperPath, { env, encoding: 'utf8' })).toBe('secret\n');
+    expect(() => execFileSync(helperPath, { env, encoding: 'utf8' })).toThrow();
+
+    await removeAskpass(helperPath, { fsModule: fs });
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+const { createDirectoryStamps, removeDirectoryStamps } = require('../src/attributes');
+
+describe('Directory Attributes', () => {
+  const mtime = new Date('2024-03-01T12:00:00Z');
+  const atime = new Date('2024-03-02T12:00:00Z');
+
+  test('should create a stand-in per directory carrying its mode and times, deepest first', () => {
+    const fsModule = {
+      statSync: jest.fn().mockReturnValue({ mode: 0o40755, atime, mtime }),
+      mkdirSync: jest.fn(),
+      chmodSync: jest.fn(),
+      utimesSync: jest.fn()
+    };
+    const pathModule = { join: (...args) => args.join('/') };
+
+    const stamps = createDirectoryStamps('./dist', ['assets', 'assets/img'], '/tmp/stamps', { fsModule, pathModule });
+
+    expect(stamps).toEqual([
+      { path: 'assets/img', stampPath: '/tmp/stamps/1/img' },
+      { path: 'assets', stampPath: '/tmp/stamps/2/assets' }
+    ]);
+    expect(fsModule.statSync).toHaveBeenCalledWith('./dist/assets/img');
+    expect(fsModule.mkdirSync).toHaveBeenCalledWith('/tmp/stamps/1/img', { recursive: true });
+    expect(fsModule.chmodSync).toHaveBeenCalledWith('/tmp/stamps/1/img', 0o755);
+    expect(fsModule.utimesSync).toHaveBeenCalledWith('/tmp/stamps/1/img', atime, mtime);
+  });
+
+  test('should warn instead of failing when the stand-ins cannot be removed', () => {
+    const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    const fsModule = { rmSync: jest.fn().mockImplementation(() => { throw new Error('EBUSY'); }) };
+
+    removeDirectoryStamps('/tmp/stamps', { fsModule });
+
+    expect(fsModule.rmSync).toHaveBeenCalledWith('/tmp/stamps', { recursive: true, force: true });
+    expect(consoleWarnSpy).toHaveBeenCalledWith('Error deleting directory stamps /tmp/stamps:', expect.any(Error));
+    consoleWarnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,119 @@
+const {
+  backupName,
+  remoteBackupPathFor,
+  backupEntries,
+  buildBackupScript,
+  buildRestoreScript,
+  backupRemoteFiles,
+  restoreBackup
+} = require('../src/backup');
+
+describe('Backups', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  const sections = [{
+    remoteDir: '/var/www/html',
+    tree: { directories: ['css'], files: [{ localPath: 'dist/index.html', relativePath: 'index.html' }, { localPath: 'dist/css/app.css', relativePath: 'css/app.css' }] },
+    options: { deletions: { files: ['old.html'], directories: [] } }
+  }];
+  let files;
+  let dependencies;
+
+  beforeEach(() => {
+    files = {};
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        mkdirSync: jest.fn(),
+        promises: {
+          writeFile: jest.fn((filePath, content) => {
+            files[filePath] = content;
+            return Promise.resolve();
+          }),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  test('should name backups after the time and keep them next to the live directory', () => {
+    expect(backupName(new Date('2024-03-01T12:00:00.123Z'))).toBe('20240301T120000Z');
+    expect(remoteBackupPathFor('/var/www/html/', '20240301T120000Z')).toBe('/var/www/backups/20240301T120000Z');
+    expect(remoteBackupPathFor('html', '20240301T120000Z')).toBe('backups/20240301T120000Z');
+  });
+
+  test('should back up overwritten and deleted files, prefixed per section when there are several', () => {
+    expect(backupEntries(sections)).toEqual([
+      { remoteDir: '/var/www/html', relativePath: 'index.html', remotePath: '/var/www/html/index.html', backupPath: 'index.html' },
+      { remoteDir: '/var/www/html', relativePath: 'css/app.css', remotePath: '/var/www/html/css/app.css', backupPath: 'css/app.css' },
+      { remoteDir: '/var/www/html', relativePath: 'old.html', remotePath: '/var/www/html/old.html', backupPath: 'old.html' }
+    ]);
+
+    const entries = backupEntries([
+      { remoteDir: '/var/www/html', tree: { directories: [], files: [{ relativePath: 'index.html' }] }, options: {} },
+      { remoteDir: '/etc/myapp', tree: { directories: [], files: [{ relativePath: 'app.conf' }] }, options: {} }
+    ]);
+    expect(entries.map((entry) => entry.backupPath)).toEqual(['var/www/html/index.html', 'etc/myapp/app.conf']);
+  });
+
+  test('should only copy files that exist on the server', () => {
+    const script = buildBackupScript('/var/www/backups/20240301T120000Z', backupEntries(sections));
+
+    expect(script).toContain("backup='/var/www/backups/20240301T120000Z'");
+    expect(script).toContain('if [ -e "$1" ] || [ -L "$1" ]; then');
+    expect(script).toContain('cp -pP "$1" "$2"');
+    expect(script).toContain(`copy '/var/www/html/css/app.css' "$backup"/'css/app.css'`);
+  });
+
+  test('should download the files into a local directory', async () => {
+    await backupRemoteFiles(connection, sections, { mode: 'local', backupDir: 'backups/20240301T120000Z' }, dependencies);
+
+    expect(dependencies.fsModule.mkdirSync).toHaveBeenCalledWith('backups/20240301T120000Z', { recursive: true });
+    expect(dependencies.fsModule.mkdirSync).toHaveBeenCalledWith('backups/20240301T120000Z/css', { recursive: true });
+    expect(files['/tmp/sftp_backup_batch']).toBe([
+      '-get -p "/var/www/html/index.html" "backups/20240301T120000Z/index.html"',
+      '-get -p "/var/www/html/css/app.css" "backups/20240301T120000Z/css/app.css"',
+      '-get -p "/var/www/html/old.html" "backups/20240301T120000Z/old.html"',
+      ''
+    ].join('\n'));
+  });
+
+  test('should copy the files on the server and fail when the copy fails', async () => {
+    await backupRemoteFiles(connection, sections, { mode: 'remote', backupDir: '/var/www/backups/20240301T120000Z' }, dependencies);
+
+    const [command, , options] = dependencies.execModule.getExecOutput.mock.calls[0];
+    expect(command).toBe('ssh');
+    expect(options.input.toString()).toContain(`copy '/var/www/html/index.html' "$backup"/'index.html'`);
+
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr: 'cp: No space left on device\n', exitCode: 1 });
+    await expect(backupRemoteFiles(connection, sections, { mode: 'remote', backupDir: '/var/www/backups/20240301T120000Z' }, dependencies))
+      .rejects.toThrow('Failed to back up remote files to /var/www/backups/20240301T120000Z: cp: No space left on device');
+  });
+
+  test('should put backed up files back and remove the ones the deploy added', async () => {
+    dependencies.fsModule.existsSync = jest.fn((localPath) => localPath !== 'backups/20240301T120000Z/index.html');
+
+    await restoreBackup(connection, sections, { mode: 'local', backupDir: 'backups/20240301T120000Z' }, dependencies);
+
+    expect(files['/tmp/sftp_backup_batch']).toBe([
+      '-mkdir "/var/www/html/css"',
+      '-rm "/var/www/html/index.html"',
+      'put -p "backups/20240301T120000Z/css/app.css" "/var/www/html/css/app.css"',
+      'put -p "backups/20240301T120000Z/old.html" "/var/www/html/old.html"',
+      ''
+    ].join('\n'));
+  });
+
+  test('should restore a remote backup on the server', async () => {
+    const script = buildRestoreScript('/var/www/backups/20240301T120000Z', backupEntries(sections));
+    expect(script).toContain('cp -pP "$backup/$2" "$1"');
+    expect(script).toContain(`restore '/var/www/html/css/app.css' 'css/app.css'`);
+
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr: 'Permission denied\n', exitCode: 1 });
+    await expect(restoreBackup(connection, sections, { mode: 'remote', backupDir: '/var/www/backups/20240301T120000Z' }, dependencies))
+      .rejects.toThrow('Failed to restore remote files from /var/www/backups/20240301T120000Z: Permission denied');
+  });
+});
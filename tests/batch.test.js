@@ -0,0 +1,142 @@
+const { buildUploadBatch, buildReturnCommand, buildMappingsBatch } = require('../src/batch');
+
+describe('SFTP Batch Generation', () => {
+  test('should create the remote directory before uploading', () => {
+    const content = buildUploadBatch('/var/www/html', { directories: [], files: [] });
+
+    expect(content).toBe('-mkdir /var/www/html\ncd /var/www/html\n');
+  });
+
+  test('should recreate nested directories and put files at their relative paths', () => {
+    const content = buildUploadBatch('/var/www/html', {
+      directories: ['assets', 'assets/css'],
+      files: [
+        { localPath: 'dist/index.html', relativePath: 'index.html' },
+        { localPath: 'dist/assets/css/site.css', relativePath: 'assets/css/site.css' }
+      ]
+    });
+
+    expect(content.split('\n')).toEqual([
+      '-mkdir /var/www/html',
+      'cd /var/www/html',
+      '-mkdir "assets"',
+      '-mkdir "assets/css"',
+      'put "dist/index.html" "index.html"',
+      'put "dist/assets/css/site.css" "assets/css/site.css"',
+      ''
+    ]);
+  });
+
+  test('should remove orphans after all uploads', () => {
+    const content = buildUploadBatch('/var/www/html', {
+      directories: [],
+      files: [{ localPath: 'dist/index.html', relativePath: 'index.html' }]
+    }, {
+      deletions: { files: ['old/page.html'], directories: ['old'] }
+    });
+
+    expect(content.split('\n').slice(2)).toEqual([
+      'put "dist/index.html" "index.html"',
+      'rm "old/page.html"',
+      'rmdir "old"',
+      ''
+    ]);
+  });
+
+  test('should create parent directories before the remote directory', () => {
+    const content = buildUploadBatch('/srv/app/releases/42', { directories: [], files: [] }, {
+      parents: ['/srv/app', '/srv/app/releases']
+    });
+
+    expect(content).toBe('-mkdir /srv/app\n-mkdir /srv/app/releases\n-mkdir /srv/app/releases/42\ncd /srv/app/releases/42\n');
+  });
+
+  test('should preserve file attributes and copy directory attributes from stand-ins', () => {
+    const content = buildUploadBatch('/var/www/html', {
+      directories: ['assets'],
+      files: [{ localPath: 'dist/assets/app.js', relativePath: 'assets/app.js', preserve: true }]
+    }, {
+      directoryAttributes: [
+        { path: 'assets/img', stampPath: '/tmp/deploy_directory_stamps_1/1/img' },
+        { path: 'assets', stampPath: '/tmp/deploy_directory_stamps_1/2/assets' }
+      ],
+      directoryPermissions: [{ path: 'assets', mode: '0755' }]
+    });
+
+    expect(content.split('\n')).toEqual([
+      '-mkdir /var/www/html',
+      'cd /var/www/html',
+      '-mkdir "assets"',
+      'put -p "dist/assets/app.js" "assets/app.js"',
+      'put -rp "/tmp/deploy_directory_stamps_1/1/img" "assets"',
+      'put -rp "/tmp/deploy_directory_stamps_1/2/assets" "."',
+      'chmod 0755 "assets"',
+      ''
+    ]);
+  });
+
+  test('should apply permissions after each put and to directories last', () => {
+    const content = buildUploadBatch('/var/www/html', {
+      directories: ['storage', 'storage/logs'],
+      files: [
+        { localPath: 'dist/.env', relativePath: '.env', mode: '0600' },
+        { localPath: 'dist/storage/logs/app.log', relativePath: 'storage/logs/app.log', mode: '0664', group: '33' }
+      ]
+    }, {
+      deletions: { files: ['old.html'], directories: [] },
+      directoryPermissions: [{ path: 'storage/logs', mode: '0775', group: '33' }, { path: 'storage', mode: '0775' }]
+    });
+
+    expect(content.split('\n')).toEqual([
+      '-mkdir /var/www/html',
+      'cd /var/www/html',
+      '-mkdir "storage"',
+      '-mkdir "storage/logs"',
+      'put "dist/.env" ".env"',
+      'chmod 0600 ".env"',
+      'put "dist/storage/logs/app.log" "storage/logs/app.log"',
+      'chmod 0664 "storage/logs/app.log"',
+      'chgrp 33 "storage/logs/app.log"',
+      'rm "old.html"',
+      'chmod 0775 "storage/logs"',
+      'chgrp 33 "storage/logs"',
+      'chmod 0775 "storage"',
+      ''
+    ]);
+  });
+
+  describe('Multiple Mappings', () => {
+    test('should return to the login directory after a relative remote directory', () => {
+      expect(buildReturnCommand('/var/www/html')).toBe('');
+      expect(buildReturnCommand('public_html')).toBe('cd ..\n');
+      expect(buildReturnCommand('./sites/app/')).toBe('cd ../..\n');
+      expect(() => buildReturnCommand('../shared')).toThrow('it leaves the login directory');
+    });
+
+    test('should upload every mapping in one batch', () => {
+      const content = buildMappingsBatch([
+        {
+          remoteDir: 'public_html',
+          tree: { directories: [], files: [{ localPath: 'dist/index.html', relativePath: 'index.html' }] },
+          options: {}
+        },
+        {
+          remoteDir: '/etc/myapp',
+          tree: { directories: [], files: [{ localPath: 'config/prod/app.ini', relativePath: 'app.ini' }] },
+          options: {}
+        }
+      ]);
+
+      expect(content.split('\n')).toEqual([
+        '-mkdir public_html',
+        'cd public_html',
+        'put "dist/index.html" "index.html"',
+        'cd ..',
+        '-mkdir /etc/myapp',
+        'cd /etc/myapp',
+        'put "config/prod/app.ini" "app.ini"',
+        ''
+      ]);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { parseCertificate, checkCertificate, describeCertificate } = require('../src/certificate');
+
+// Signed with a throwaway CA: ssh-keygen -s ca -I deploy-ci -n deploy,www-data -V 20200101000000Z:20990101000000Z -z 42
+const userCertificate = 'ssh-ed25519-cert-v01@openssh.com AAAAIHNzaC1lZDI1NTE5LWNlcnQtdjAxQG9wZW5zc2guY29tAAAAIGIdnN8Wyf56AU03YmwtPxX5FI4BHUqRf4VAKDm7lxYlAAAAICQFspTccqoAqYQNH2LVMvSYNfQ92bxNMbmn3aZDCw0AAAAAAAAAACoAAAABAAAACWRlcGxveS1jaQAAABYAAAAGZGVwbG95AAAACHd3dy1kYXRhAAAAAF4L4QAAAAAA8qUjgAAAAAAAAACCAAAAFXBlcm1pdC1YMTEtZm9yd2FyZGluZwAAAAAAAAAXcGVybWl0LWFnZW50LWZvcndhcmRpbmcAAAAAAAAAFnBlcm1pdC1wb3J0LWZvcndhcmRpbmcAAAAAAAAACnBlcm1pdC1wdHkAAAAAAAAADnBlcm1pdC11c2VyLXJjAAAAAAAAAAAAAAAzAAAAC3NzaC1lZDI1NTE5AAAAIC7R5to9hH49nSsjGVk5XyeQ6ZhKcscAJ6KYKR3Y5DAJAAAAUwAAAAtzc2gtZWQyNTUxOQAAAECuxBYcdNAsc9It5bvhKJ3dH4GDYYu6m5QjDTmR7/s/FpEh3N5q3yRxqJ+NCjR6RsJwlqCtamRtvyQkjg4SpMQN deploy';
+// -I expired -n deploy -V 20200101000000Z:20210101000000Z
+const expiredCertificate = 'ssh-ed25519-cert-v01@openssh.com AAAAIHNzaC1lZDI1NTE5LWNlcnQtdjAxQG9wZW5zc2guY29tAAAAIKAEKWxcs7aCbVAsYBIksaj7w2PWJjrFHwpUQxuxvV4aAAAAICQFspTccqoAqYQNH2LVMvSYNfQ92bxNMbmn3aZDCw0AAAAAAAAAAAAAAAABAAAAB2V4cGlyZWQAAAAKAAAABmRlcGxveQAAAABeC+EAAAAAAF/uZgAAAAAAAAAAggAAABVwZXJtaXQtWDExLWZvcndhcmRpbmcAAAAAAAAAF3Blcm1pdC1hZ2VudC1mb3J3YXJkaW5nAAAAAAAAABZwZXJtaXQtcG9ydC1mb3J3YXJkaW5nAAAAAAAAAApwZXJtaXQtcHR5AAAAAAAAAA5wZXJtaXQtdXNlci1yYwAAAAAAAAAAAAAAMwAAAAtzc2gtZWQyNTUxOQAAACAu0ebaPYR+PZ0rIxlZOV8nkOmYSnLHACeimCkd2OQwCQAAAFMAAAALc3NoLWVkMjU1MTkAAABAuFxNVnvzY+SV/cEKJGx9dslsGnoFHyiHp0svhySIJHsulOSSk/1GXeg+pnYAaLAiL2/tywbDJ1XhLicydRpNBw== deploy';
+// -I host -h -n web1, valid forever
+const hostCertificate = 'ssh-ed25519-cert-v01@openssh.com AAAAIHNzaC1lZDI1NTE5LWNlcnQtdjAxQG9wZW5zc2guY29tAAAAIMY5ka8jJxX26toMtoAPmTngfKPpkx4CAof6Do2LO3QTAAAAICQFspTccqoAqYQNH2LVMvSYNfQ92bxNMbmn3aZDCw0AAAAAAAAAAAAAAAACAAAABGhvc3QAAAAIAAAABHdlYjEAAAAAAAAAAP//////////AAAAAAAAAAAAAAAAAAAAMwAAAAtzc2gtZWQyNTUxOQAAACAu0ebaPYR+PZ0rIxlZOV8nkOmYSnLHACeimCkd2OQwCQAAAFMAAAALc3NoLWVkMjU1MTkAAABAoLV8y2AEwmMfHbb+ptDZUAj9DPQgpJTg1Og+RvCMP//3axl1/sArFH6a7f/B7xJKfVwImVv3l52X4DANFHI0Dg== deploy';
+
+describe('Certificates', () => {
+  const now = new Date('2024-03-01T12:00:00Z');
+
+  test('should read what ssh-keygen -L shows', () => {
+    expect(parseCertificate(`${userCertificate}\n`)).toEqual({
+      type: 'ssh-ed25519-cert-v01@openssh.com',
+      keyId: 'deploy-ci',
+      serial: '42',
+      certificateType: 'user',
+      principals: ['deploy', 'www-data'],
+      validAfter: new Date('2020-01-01T00:00:00Z'),
+      validBefore: new Date('2099-01-01T00:00:00Z'),
+      fingerprint: 'SHA256:NQht3XuR1sjItpNEVjsSAJY04nhqchkgJ/ZR6jnoSk0'
+    });
+    expect(parseCertificate(hostCertificate)).toMatchObject({ certificateType: 'host', validAfter: null, validBefore: null });
+  });
+
+  test('should reject anything but a certificate', () => {
+    expect(() => parseCertificate('ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIE6NgkjdYF61DEM2qPeJrBYNmgP5W7Zm6tMJowa7BYvf')).toThrow('Invalid certificate: expected an OpenSSH certificate');
+    expect(() => parseCertificate(userCertificate.slice(0, 200))).toThrow('Invalid certificate: it is truncated');
+    expect(() => parseCertificate(userCertificate.replace('ssh-ed25519-cert', 'ssh-rsa-cert'))).toThrow('Invalid certificate: the data does not match its type ssh-rsa-cert-v01@openssh.com');
+  });
+
+  test('should accept a current certificate for its principals', () => {
+    expect(() => checkCertificate(parseCertificate(userCertificate), { usernames: ['deploy', 'www-data', 'deploy'], now })).not.toThrow();
+    expect(describeCertificate(parseCertificate(userCertificate))).toBe(
+      '"deploy-ci" (serial 42, principals: deploy, www-data, valid from 2020-01-01T00:00:00.000Z to 2099-01-01T00:00:00.000Z)'
+    );
+  });
+
+  test('should fail fast on certificates that cannot log in', () => {
+    expect(() => checkCertificate(parseCertificate(expiredCertificate), { usernames: ['deploy'], now })).toThrow(
+      'Certificate "expired" expired at 2021-01-01T00:00:00.000Z'
+    );
+    expect(() => checkCertificate(parseCertificate(userCertificate), { usernames: ['deploy'], now: new Date('2019-06-01T00:00:00Z') })).toThrow(
+      'Certificate "deploy-ci" is not valid yet: valid from 2020-01-01T00:00:00.000Z'
+    );
+    expect(() => checkCertificate(parseCertificate(userCertificate), { usernames: ['deploy', 'root'], now })).toThrow(
+      'Certificate "deploy-ci" is not valid for "root": its principals are deploy, www-data'
+    );
+    expect(() => checkCertificate(parseCertificate(hostCertificate), { usernames: ['deploy'], now })).toThrow(
+      'Certificate "host" is a host certificate, a user certificate is needed to log in'
+    );
+  });
+});
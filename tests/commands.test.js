@@ -0,0 +1,70 @@
+const { buildCommandScript, runRemoteCommands } = require('../src/commands');
+const { parseLineList } = require('../src/patterns');
+
+describe('Remote Commands', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = {
+      coreModule: {
+        startGroup: jest.fn(),
+        endGroup: jest.fn(),
+        info: jest.fn()
+      },
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      }
+    };
+  });
+
+  const scriptOf = (call) => call[2].input.toString();
+
+  test('should parse one command per line and keep commas', () => {
+    expect(parseLineList('# database\nphp artisan migrate --force\n\n  echo a, b  \n')).toEqual([
+      'php artisan migrate --force',
+      'echo a, b'
+    ]);
+    expect(parseLineList('')).toEqual([]);
+    expect(parseLineList(undefined)).toEqual([]);
+  });
+
+  test('should export the environment and wrap the command in braces', () => {
+    expect(buildCommandScript('php artisan migrate', { DEPLOY_REMOTE_DIR: "/var/www/it's", DEPLOY_RELEASE_NAME: null })).toBe(
+      "{\nexport DEPLOY_REMOTE_DIR='/var/www/it'\\''s'\nphp artisan migrate\n}\n"
+    );
+  });
+
+  test('should run each command in its own log group with streamed output', async () => {
+    await runRemoteCommands(connection, ['php artisan migrate', 'sudo systemctl reload php-fpm'], {
+      stage: 'post-deploy',
+      environment: { DEPLOY_REMOTE_DIR: '/var/www/html' }
+    }, dependencies);
+
+    const calls = dependencies.execModule.getExecOutput.mock.calls;
+    expect(calls).toHaveLength(2);
+    expect(calls[0][0]).toBe('ssh');
+    expect(calls[0][1]).toEqual(expect.arrayContaining(['-i', '/tmp/deploy_identity', 'test-user@test-host']));
+    expect(calls[0][2]).toEqual(expect.objectContaining({ silent: false, ignoreReturnCode: true }));
+    expect(scriptOf(calls[1])).toContain('sudo systemctl reload php-fpm');
+    expect(dependencies.coreModule.startGroup).toHaveBeenCalledWith(expect.stringContaining('post-deploy 1/2 on test-host: php artisan migrate'));
+    expect(dependencies.coreModule.endGroup).toHaveBeenCalledTimes(2);
+  });
+
+  test('should stop at the first failing command with the fail policy', async () => {
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr: 'boom', exitCode: 3 });
+
+    await expect(runRemoteCommands(connection, ['false', 'echo never'], { stage: 'pre-deploy', failurePolicy: 'fail' }, dependencies))
+      .rejects.toThrow('pre-deploy command "false" failed on test-host with exit code 3');
+    expect(dependencies.execModule.getExecOutput).toHaveBeenCalledTimes(1);
+    expect(dependencies.coreModule.endGroup).toHaveBeenCalledTimes(1);
+  });
+
+  test('should carry on after a failure with the warn policy', async () => {
+    dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr: '', exitCode: 1 });
+
+    await runRemoteCommands(connection, ['false', 'echo next'], { stage: 'post-deploy', failurePolicy: 'warn' }, dependencies);
+
+    expect(dependencies.execModule.getExecOutput).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,135 @@
+const { walkSourceDir } = require('../src/files');
+
+describe('Source Directory Walk', () => {
+  // Build a fake fs from a nested object: strings are files, objects are directories
+  const createMockFs = (tree) => {
+    const resolve = (filePath) => filePath.split('/').slice(1).reduce((node, part) => node[part], tree);
+    return {
+      readdirSync: jest.fn((dirPath) => Object.keys(resolve(dirPath))),
+      readFileSync: jest.fn((filePath) => resolve(filePath)),
+      statSync: jest.fn((filePath) => {
+        const node = resolve(filePath);
+        return {
+          size: typeof node === 'string' ? node.length : 4096,
+          isFile: () => typeof node === 'string',
+          isDirectory: () => typeof node === 'object'
+        };
+      })
+    };
+  };
+  const pathModule = { join: (...args) => args.join('/') };
+
+  test('should list top-level files', () => {
+    const fsModule = createMockFs({ 'index.html': '<html>', 'app.js': 'x' });
+
+    const tree = walkSourceDir('dist', { fsModule, pathModule });
+
+    expect(tree.directories).toEqual([]);
+    expect(tree.files).toEqual([
+      { localPath: 'dist/index.html', relativePath: 'index.html', size: 6 },
+      { localPath: 'dist/app.js', relativePath: 'app.js', size: 1 }
+    ]);
+  });
+
+  test('should walk nested directories recursively', () => {
+    const fsModule = createMockFs({
+      'index.html': '<html>',
+      assets: {
+        css: { 'site.css': 'body{}' },
+        img: { 'logo.png': 'png' }
+      }
+    });
+
+    const tree = walkSourceDir('dist', { fsModule, pathModule });
+
+    expect(tree.directories).toEqual(['assets', 'assets/css', 'assets/img']);
+    expect(tree.files.map((file) => file.relativePath)).toEqual([
+      'index.html',
+      'assets/css/site.css',
+      'assets/img/logo.png'
+    ]);
+    expect(tree.files[1].localPath).toBe('dist/assets/css/site.css');
+  });
+
+  test('should keep empty directories', () => {
+    const fsModule = createMockFs({ empty: {} });
+
+    const tree = walkSourceDir('dist', { fsModule, pathModule });
+
+    expect(tree.directories).toEqual(['empty']);
+    expect(tree.files).toEqual([]);
+  });
+
+  describe('Filtering', () => {
+    const source = {
+      'index.html': '<html>',
+      'app.js': 'x',
+      'app.js.map': '{}',
+      '.DS_Store': '',
+      '.git': { HEAD: 'ref' },
+      assets: {
+        'site.css': 'body{}',
+        'site.css.map': '{}',
+        img: { 'logo.png': 'png' }
+      }
+    };
+
+    test('should skip files and directories matching exclude globs', () => {
+      const fsModule = createMockFs(source);
+
+      const tree = walkSourceDir('dist', { fsModule, pathModule }, { exclude: ['*.map', '.DS_Store', '.git/'] });
+
+      expect(tree.directories).toEqual(['assets', 'assets/img']);
+      expect(tree.files.map((file) => file.relativePath)).toEqual([
+        'index.html',
+        'app.js',
+        'assets/site.css',
+        'assets/img/logo.png'
+      ]);
+      expect(fsModule.readdirSync).not.toHaveBeenCalledWith('dist/.git');
+    });
+
+    test('should only keep included files and the directories holding them', () => {
+      const fsModule = createMockFs(source);
+
+      const tree = walkSourceDir('dist', { fsModule, pathModule }, { include: ['*.css', '*.html'], exclude: ['.git/'] });
+
+      expect(tree.directories).toEqual(['assets']);
+      expect(tree.files.map((file) => file.relativePath)).toEqual(['index.html', 'assets/site.css']);
+    });
+
+    test('should tell which paths the filters leave out, wherever they are', () => {
+      const fsModule = createMockFs({ ...source, '.deployignore': 'config.php\n' });
+
+      const { isFilteredOut } = walkSourceDir('dist', { fsModule, pathModule }, { exclude: ['cache/'] });
+
+      expect(isFilteredOut('config.php')).toBe(true);
+      expect(isFilteredOut('cache', true)).toBe(true);
+      expect(isFilteredOut('cache/sessions/abc')).toBe(true);
+      expect(isFilteredOut('old.html')).toBe(false);
+      expect(isFilteredOut('assets', true)).toBe(false);
+
+      const included = walkSourceDir('dist', { fsModule, pathModule }, { include: ['*.css'] });
+      expect(included.isFilteredOut('uploads/avatar.png')).toBe(true);
+      expect(included.isFilteredOut('uploads', true)).toBe(false);
+      expect(included.isFilteredOut('old.css')).toBe(false);
+    });
+
+    test('should honour a .deployignore file with gitignore semantics', () => {
+      const fsModule = createMockFs({
+        ...source,
+        '.deployignore': '# build leftovers\n*.map\n!assets/site.css.map\n.DS_Store\n/.git/\nassets/img/\n'
+      });
+
+      const tree = walkSourceDir('dist', { fsModule, pathModule });
+
+      expect(tree.directories).toEqual(['assets']);
+      expect(tree.files.map((file) => file.relativePath)).toEqual([
+        'index.html',
+        'app.js',
+        'assets/site.css',
+        'assets/site.css.map'
+      ]);
+    });
+  });
+});
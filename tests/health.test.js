@@ -0,0 +1,73 @@
+const http = require('http');
+const { parseHealthCheckUrls, checkUrl, waitForHealthy } = require('../src/health');
+
+describe('Health Checks', () => {
+  let server;
+  let baseUrl;
+  let responses;
+
+  // Local stand-in for the deployed site: each path answers from its own queue, repeating the last response
+  beforeEach((done) => {
+    responses = {};
+    server = http.createServer((request, response) => {
+      const queue = responses[request.url] || [{ status: 404, body: 'not found' }];
+      const { status, body } = queue.length > 1 ? queue.shift() : queue[0];
+      response.writeHead(status, { 'Content-Type': 'text/plain' });
+      response.end(body);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    // fetch keeps its connection alive, which would hold close() open
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  test('should parse one http(s) URL per line', () => {
+    expect(parseHealthCheckUrls('https://example.com/health\n\n# api\n  http://api.example.com/ping  \n')).toEqual([
+      'https://example.com/health',
+      'http://api.example.com/ping'
+    ]);
+    expect(parseHealthCheckUrls(undefined)).toEqual([]);
+    expect(() => parseHealthCheckUrls('example.com/health')).toThrow('Invalid health check URL "example.com/health": expected an http:// or https:// URL');
+    expect(() => parseHealthCheckUrls('ftp://example.com/')).toThrow('Invalid health check URL');
+  });
+
+  test('should check the status code and the body', async () => {
+    responses['/health'] = [{ status: 200, body: 'status: ok' }];
+    responses['/down'] = [{ status: 503, body: 'maintenance' }];
+
+    expect(await checkUrl(`${baseUrl}/health`, { status: 200, body: 'ok' }, fetch)).toBeNull();
+    expect(await checkUrl(`${baseUrl}/health`, { status: 200, body: 'version 2' }, fetch)).toBe('response does not contain "version 2"');
+    expect(await checkUrl(`${baseUrl}/down`, { status: 200 }, fetch)).toBe('status 503, expected 200');
+
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise((resolve) => closed.close(resolve));
+    expect(await checkUrl(closedUrl, { status: 200 }, fetch)).toMatch(/ECONNREFUSED/);
+  });
+
+  test('should poll until every URL is healthy', async () => {
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    responses['/health'] = [{ status: 502, body: '' }, { status: 502, body: '' }, { status: 200, body: 'ok' }];
+    responses['/api'] = [{ status: 200, body: 'ok' }];
+
+    await expect(waitForHealthy([`${baseUrl}/health`, `${baseUrl}/api`], { status: 200, body: 'ok', timeout: 5, interval: 0.05 })).resolves.toBeUndefined();
+    expect(responses['/health']).toHaveLength(1);
+    consoleLogSpy.mockRestore();
+  });
+
+  test('should fail with the last problem of each URL after the timeout', async () => {
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    responses['/health'] = [{ status: 500, body: 'error' }];
+
+    await expect(waitForHealthy([`${baseUrl}/health`], { status: 200, timeout: 0.2, interval: 0.05 }))
+      .rejects.toThrow(`Health check failed after 0.2s: ${baseUrl}/health: status 500, expected 200`);
+    consoleLogSpy.mockRestore();
+  });
+});
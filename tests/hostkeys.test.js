@@ -0,0 +1,160 @@
+const {
+  fingerprintKey,
+  parseKnownHosts,
+  parseFingerprints,
+  knownHostName,
+  entryMatchesHost,
+  prepareKnownHosts
+} = require('../src/hostkeys');
+
+describe('Host Keys', () => {
+  const serverKey = 'AAAAC3NzaC1lZDI1NTE5AAAAIE6NgkjdYF61DEM2qPeJrBYNmgP5W7Zm6tMJowa7BYvf';
+  const serverFingerprint = 'SHA256:iY7tUwHGbCy6U8Ed7s6a6Vl0UGDvq6+n07eQvAOxDEo';
+  const otherKey = 'AAAAC3NzaC1lZDI1NTE5AAAAINdMWBvMZ+McYD1Lc2WSF+QT2IGpeCfbjhDdU/sw5Rxj';
+  const otherFingerprint = 'SHA256:ftg2xrE8oWYQoBsb95OLLvgO2atotx4tQamQoe7f9lo';
+  const connection = { host: 'example.com', port: '22', username: 'deploy', identityFile: '/tmp/deploy_identity' };
+  let files;
+  let dependencies;
+
+  beforeEach(() => {
+    files = {};
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({
+          stdout: `# example.com:22 SSH-2.0-OpenSSH_9.6\nexample.com ssh-ed25519 ${serverKey}\n`,
+          stderr: '',
+          exitCode: 0
+        })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn((filePath, content) => {
+            files[filePath] = content;
+            return Promise.resolve();
+          })
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should compute fingerprints like ssh-keygen', () => {
+    expect(fingerprintKey(serverKey)).toBe(serverFingerprint);
+    expect(fingerprintKey(otherKey)).toBe(otherFingerprint);
+  });
+
+  test('should parse known_hosts lines and fingerprints', () => {
+    expect(parseKnownHosts(`# deploy targets\nexample.com,10.0.0.5 ssh-ed25519 ${serverKey} web1\n\n@cert-authority *.example.com ssh-ed25519 ${otherKey}\n`)).toEqual([
+      { line: `example.com,10.0.0.5 ssh-ed25519 ${serverKey} web1`, marker: null, hosts: ['example.com', '10.0.0.5'], type: 'ssh-ed25519', key: serverKey, fingerprint: serverFingerprint },
+      { line: `@cert-authority *.example.com ssh-ed25519 ${otherKey}`, marker: '@cert-authority', hosts: ['*.example.com'], type: 'ssh-ed25519', key: otherKey, fingerprint: otherFingerprint }
+    ]);
+    expect(() => parseKnownHosts('example.com')).toThrow('Invalid known_hosts line "example.com": expected <hosts> <key type> <base64 key>');
+
+    expect(parseFingerprints(`${serverFingerprint}\n${otherFingerprint}`)).toEqual([serverFingerprint, otherFingerprint]);
+    expect(() => parseFingerprints('MD5:16:27:ac:a5:76:28:2d:36:63:1b:56:4d:eb:df:a6:48')).toThrow('Invalid host_fingerprint "MD5:16:27:ac:a5:76:28:2d:36:63:1b:56:4d:eb:df:a6:48"');
+  });
+
+  test('should match host patterns the way ssh does', () => {
+    const entry = (hosts) => parseKnownHosts(`${hosts} ssh-ed25519 ${serverKey}`)[0];
+
+    expect(knownHostName('example.com', '2222')).toBe('[example.com]:2222');
+    expect(entryMatchesHost(entry('example.com'), 'example.com', '22')).toBe(true);
+    expect(entryMatchesHost(entry('example.com'), 'example.com', '2222')).toBe(false);
+    expect(entryMatchesHost(entry('[example.com]:2222'), 'example.com', '2222')).toBe(true);
+    expect(entryMatchesHost(entry('*.example.com,!db.example.com'), 'web.example.com', '22')).toBe(true);
+    expect(entryMatchesHost(entry('*.example.com,!db.example.com'), 'db.example.com', '22')).toBe(false);
+    expect(entryMatchesHost(entry('|1|guLJoFPRRwE/si8DZjI0qElXhDY=|syM8GcRqNaIoP8vv2UhZPcrHgl4='), 'example.com', '22')).toBe(true);
+    expect(entryMatchesHost(entry('|1|guLJoFPRRwE/si8DZjI0qElXhDY=|syM8GcRqNaIoP8vv2UhZPcrHgl4='), 'example.org', '22')).toBe(false);
+  });
+
+  test('should pin the scanned key matching a fingerprint', async () => {
+    const knownHostsFile = await prepareKnownHosts(connection, { knownHosts: [], fingerprints: [serverFingerprint] }, dependencies);
+
+    expect(knownHostsFile).toBe('/tmp/known_hosts');
+    expect(files['/tmp/known_hosts']).toBe(`example.com ssh-ed25519 ${serverKey}\n`);
+    expect(dependencies.execModule.getExecOutput).toHaveBeenCalledWith('ssh-keyscan', ['-p', '22', 'example.com'], { ignoreReturnCode: true, silent: true });
+  });
+
+  test('should keep known_hosts entries as they are', async () => {
+    const knownHosts = parseKnownHosts(`example.com ssh-ed25519 ${serverKey}\nother.example.com ssh-ed25519 ${otherKey}`);
+
+    await prepareKnownHosts(connection, { knownHosts, fingerprints: [] }, dependencies);
+
+    expect(files['/tmp/known_hosts']).toBe(`example.com ssh-ed25519 ${serverKey}\nother.example.com ssh-ed25519 ${otherKey}\n`);
+  });
+
+  test('should show the expected and the presented fingerprints on a mismatch', async () => {
+    const knownHosts = parseKnownHosts(`example.com ssh-ed25519 ${otherKey}`);
+
+    await expect(prepareKnownHosts(connection, { knownHosts, fingerprints: [] }, dependencies)).rejects.toThrow(
+      `Host key verification failed for example.com:22: expected ${otherFingerprint} (ssh-ed25519), but the server presented ${serverFingerprint} (ssh-ed25519)`
+    );
+    await expect(prepareKnownHosts({ ...connection, port: '2222' }, { knownHosts, fingerprints: [] }, dependencies)).rejects.toThrow(
+      'Host key verification failed for example.com:2222: known_hosts has no key for [example.com]:2222 and no host_fingerprint is set'
+    );
+    expect(files).toEqual({});
+  });
+
+  test('should leave host certificates to ssh and never trust revoked keys', async () => {
+    const authority = parseKnownHosts(`@cert-authority *.com ssh-ed25519 ${otherKey}`);
+
+    await expect(prepareKnownHosts(connection, { knownHosts: authority, fingerprints: [] }, dependencies)).resolves.toBe('/tmp/known_hosts');
+    expect(files['/tmp/known_hosts']).toBe(`@cert-authority *.com ssh-ed25519 ${otherKey}\n`);
+    expect(dependencies.execModule.getExecOutput).not.toHaveBeenCalled();
+
+    const knownHosts = parseKnownHosts(`example.com ssh-ed25519 ${serverKey}\n@revoked * ssh-ed25519 ${serverKey}`);
+    await expect(prepareKnownHosts(connection, { knownHosts, fingerprints: [] }, dependencies)).rejects.toThrow(
+      `Host key verification failed for example.com:22: expected ${serverFingerprint} (ssh-ed25519, revoked), but the server presented ${serverFingerprint} (ssh-ed25519, revoked)`
+    );
+  });
+
+  test('should fail when the host keys cannot be fetched', async () => {
+    dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: 'getaddrinfo example.com: Name or service not known\n', exitCode: 1 });
+
+    await expect(prepareKnownHosts(connection, { knownHosts: [], fingerprints: [serverFingerprint] }, dependencies)).rejects.toThrow(
+      'Could not fetch the host keys of example.com:22: getaddrinfo example.com: Name or service not known'
+    );
+  });
+
+  test('should record the host key through the jump host', async () => {
+    const jumped = { ...connection, jump: { host: 'bastion.example.com', port: '22', username: 'jumper', alias: 'deploy-jump', configFile: '/tmp/jump_ssh_config' } };
+    dependencies.fsModule.promises.readFile = jest.fn((filePath) => Promise.resolve(files[filePath]));
+    dependencies.fsModule.promises.unlink = jest.fn().mockResolvedValue(undefined);
+    dependencies.execModule.getExecOutput.mockImplementation((command, args) => {
+      const scanFile = args.find((arg) => arg.startsWith('UserKnownHostsFile=')).split('=')[1];
+      files[scanFile] = `example.com ssh-ed25519 ${serverKey}\n`;
+      return Promise.resolve({ stdout: '', stderr: 'deploy@example.com: Permission denied (none).\n', exitCode: 255 });
+    });
+    const knownHosts = parseKnownHosts(`example.com ssh-ed25519 ${serverKey}\nexample.com ssh-rsa ${otherKey}`);
+
+    await prepareKnownHosts(jumped, { knownHosts, fingerprints: [] }, dependencies);
+
+    const [command, args] = dependencies.execModule.getExecOutput.mock.calls[0];
+    expect(command).toBe('ssh');
+    expect(args.join(' ')).toContain('-F /tmp/jump_ssh_config -o ProxyJump=deploy-jump -o StrictHostKeyChecking=accept-new -o UserKnownHostsFile=/tmp/known_hosts_scan');
+    expect(args).toContain('PreferredAuthentications=none');
+    expect(args).toContain('HostKeyAlgorithms=^ssh-ed25519,rsa-sha2-512,rsa-sha2-256');
+    expect(dependencies.fsModule.promises.unlink).toHaveBeenCalledWith('/tmp/known_hosts_scan');
+  });
+
+  test('should name the jump host when it cannot be passed', async () => {
+    const jumped = { ...connection, jump: { host: 'bastion.example.com', port: '22', username: 'jumper', alias: 'deploy-jump', configFile: '/tmp/jump_ssh_config' } };
+    dependencies.fsModule.promises.readFile = jest.fn().mockResolvedValue('');
+    dependencies.fsModule.promises.unlink = jest.fn().mockResolvedValue(undefined);
+    dependencies.execModule.getExecOutput.mockResolvedValue({
+      stdout: '',
+      stderr: 'jumper@bastion.example.com: Permission denied (publickey).\nConnection closed by UNKNOWN port 65535\n',
+      exitCode: 255
+    });
+
+    await expect(prepareKnownHosts(jumped, { knownHosts: [], fingerprints: [serverFingerprint] }, dependencies)).rejects.toThrow(
+      'Could not fetch the host key of example.com:22 through the jump host: jump host jumper@bastion.example.com:22 failed: jumper@bastion.example.com: Permission denied (publickey).'
+    );
+  });
+});
@@ -0,0 +1,85 @@
+const { parseHosts, runRollout, formatResultTable } = require('../src/hosts');
+
+describe('Deployment Hosts', () => {
+  const defaults = { username: 'deploy', port: '22' };
+
+  test('should parse one host per line with optional overrides', () => {
+    expect(parseHosts('web1.example.com\n  admin@web2.example.com:2222  \nweb3.example.com /srv/www/html\n', defaults)).toEqual([
+      { host: 'web1.example.com', username: 'deploy', port: '22', remoteDir: null },
+      { host: 'web2.example.com', username: 'admin', port: '2222', remoteDir: null },
+      { host: 'web3.example.com', username: 'deploy', port: '22', remoteDir: '/srv/www/html' }
+    ]);
+  });
+
+  test('should accept bracketed IPv6 addresses and skip comments', () => {
+    expect(parseHosts('# staging\n[2001:db8::1]:2200\n\n', defaults)).toEqual([
+      { host: '[2001:db8::1]', username: 'deploy', port: '2200', remoteDir: null }
+    ]);
+    expect(parseHosts('', defaults)).toEqual([]);
+    expect(parseHosts(undefined, defaults)).toEqual([]);
+  });
+
+  test('should reject malformed entries', () => {
+    expect(() => parseHosts('web1:ssh', defaults)).toThrow('Invalid host "web1:ssh": expected [username@]host[:port] [remote_dir]');
+    expect(() => parseHosts('@web1', defaults)).toThrow('Invalid host');
+  });
+
+  test('should stop a sequential rollout at the first failure with fail-fast', async () => {
+    const deployTarget = jest.fn().mockImplementation(async (target) => {
+      if (target === 'b') {
+        throw new Error('boom');
+      }
+      return { files: 1 };
+    });
+
+    const results = await runRollout(['a', 'b', 'c'], deployTarget, { rollout: 'sequential', failurePolicy: 'fail-fast' });
+
+    expect(deployTarget).toHaveBeenCalledTimes(2);
+    expect(results.map((entry) => entry.status)).toEqual(['success', 'failed', 'skipped']);
+    expect(results[1].error.message).toBe('boom');
+  });
+
+  test('should attempt every host with the continue policy', async () => {
+    const deployTarget = jest.fn().mockImplementation(async (target) => {
+      if (target === 'a') {
+        throw new Error('boom');
+      }
+      return { files: 1 };
+    });
+
+    const results = await runRollout(['a', 'b'], deployTarget, { rollout: 'sequential', failurePolicy: 'continue' });
+
+    expect(results.map((entry) => entry.status)).toEqual(['failed', 'success']);
+    expect(results[1].result).toEqual({ files: 1 });
+  });
+
+  test('should start every host at once in a parallel rollout', async () => {
+    const started = [];
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const deployTarget = async (target) => {
+      started.push(target);
+      await gate;
+      return { files: 1 };
+    };
+
+    const rollout = runRollout(['a', 'b', 'c'], deployTarget, { rollout: 'parallel', failurePolicy: 'fail-fast' });
+    await Promise.resolve();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    release();
+    expect((await rollout).map((entry) => entry.status)).toEqual(['success', 'success', 'success']);
+  });
+
+  test('should format the results as an aligned table', () => {
+    expect(formatResultTable([
+      { host: 'web1', status: 'success', files: 12 },
+      { host: 'web2.example.com', status: 'failed', error: 'Connection refused' }
+    ])).toBe([
+      'host             | status  | files | release | error',
+      '---------------- | ------- | ----- | ------- | ------------------',
+      'web1             | success | 12    |         |',
+      'web2.example.com | failed  |       |         | Connection refused'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,108 @@
+const { buildJumpConfig, prepareJumpHost, removeJumpHost, checkJumpConnection } = require('../src/jump');
+const { buildSshOptions } = require('../src/sftp');
+
+describe('Jump Hosts', () => {
+  const serverKey = 'AAAAC3NzaC1lZDI1NTE5AAAAIE6NgkjdYF61DEM2qPeJrBYNmgP5W7Zm6tMJowa7BYvf';
+  const serverFingerprint = 'SHA256:iY7tUwHGbCy6U8Ed7s6a6Vl0UGDvq6+n07eQvAOxDEo';
+  const jumpHost = { host: 'bastion.example.com', port: '2222', username: 'jumper' };
+  let files;
+  let dependencies;
+
+  beforeEach(() => {
+    files = {};
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: `bastion.example.com ssh-ed25519 ${serverKey}\n`, stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn((filePath, content) => {
+            files[filePath] = content;
+            return Promise.resolve();
+          }),
+          unlink: jest.fn((filePath) => {
+            delete files[filePath];
+            return Promise.resolve();
+          })
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should configure the jump hop like a direct connection', () => {
+    expect(buildJumpConfig({ ...jumpHost, authentication: 'key', identityFile: '/tmp/deploy_identity', knownHostsFile: '/tmp/jump_known_hosts' })).toBe([
+      'Host deploy-jump',
+      '    HostName bastion.example.com',
+      '    Port 2222',
+      '    User jumper',
+      '    StrictHostKeyChecking yes',
+      '    UserKnownHostsFile /tmp/jump_known_hosts',
+      '    GlobalKnownHostsFile /dev/null',
+      '    IdentityFile /tmp/deploy_identity',
+      '    BatchMode yes',
+      ''
+    ].join('\n'));
+
+    const passwordConfig = buildJumpConfig({ ...jumpHost, authentication: 'password' });
+    expect(passwordConfig).toContain('    BatchMode no\n    PreferredAuthentications password,keyboard-interactive\n');
+    expect(passwordConfig).not.toContain('BatchMode yes');
+  });
+
+  test('should verify the jump host key and write its own identity', async () => {
+    const jump = await prepareJumpHost(jumpHost, {
+      privateKey: 'jump-key\n',
+      authentication: 'password',
+      identityFile: null,
+      hostKeys: { knownHosts: [], fingerprints: [serverFingerprint] }
+    }, dependencies);
+
+    expect(jump).toEqual({ ...jumpHost, alias: 'deploy-jump', configFile: '/tmp/jump_ssh_config', files: ['/tmp/jump_deploy_identity', '/tmp/jump_known_hosts', '/tmp/jump_ssh_config'] });
+    expect(dependencies.execModule.getExecOutput).toHaveBeenCalledWith('ssh-keyscan', ['-p', '2222', 'bastion.example.com'], expect.any(Object));
+    expect(files['/tmp/jump_deploy_identity']).toBe('jump-key\n');
+    expect(files['/tmp/jump_ssh_config']).toContain('    UserKnownHostsFile /tmp/jump_known_hosts\n');
+    expect(files['/tmp/jump_ssh_config']).toContain('    IdentityFile /tmp/jump_deploy_identity\n    BatchMode yes\n');
+    expect(buildSshOptions({ host: 'web1', port: '22', username: 'deploy', authentication: 'password', jump }).slice(0, 4)).toEqual(['-F', '/tmp/jump_ssh_config', '-o', 'ProxyJump=deploy-jump']);
+
+    await removeJumpHost(jump, dependencies);
+    expect(files).toEqual({});
+  });
+
+  test('should say the jump host key failed and leave nothing behind', async () => {
+    await expect(prepareJumpHost(jumpHost, {
+      privateKey: 'jump-key\n',
+      authentication: 'key',
+      identityFile: '/tmp/deploy_identity',
+      hostKeys: { knownHosts: [], fingerprints: ['SHA256:ftg2xrE8oWYQoBsb95OLLvgO2atotx4tQamQoe7f9lo'] }
+    }, dependencies)).rejects.toThrow('Jump host: Host key verification failed for bastion.example.com:2222');
+    expect(files).toEqual({});
+  });
+
+  test('should name the hop a connection failed on', async () => {
+    const connection = { host: 'web1', port: '22', username: 'deploy', tempPrefix: '', jump: { ...jumpHost, alias: 'deploy-jump', configFile: '/tmp/jump_ssh_config' } };
+    const failWith = (stderr) => dependencies.execModule.getExecOutput.mockResolvedValueOnce({ stdout: '', stderr, exitCode: 255 });
+
+    failWith('debug1: Executing proxy command: exec ssh -F /tmp/jump_ssh_config -v -W \'[web1]:22\' deploy-jump\nssh: connect to host bastion.example.com port 2222: Connection timed out\nConnection closed by UNKNOWN port 65535\n');
+    await expect(checkJumpConnection(connection, dependencies)).rejects.toThrow(
+      'Could not connect to deploy@web1:22 through jump host bastion.example.com:2222: jump host jumper@bastion.example.com:2222 failed: ssh: connect to host bastion.example.com port 2222: Connection timed out'
+    );
+
+    failWith('channel 0: open failed: connect failed: No route to host\nstdio forwarding failed\n');
+    await expect(checkJumpConnection(connection, dependencies)).rejects.toThrow(
+      'jump host jumper@bastion.example.com:2222 could not reach web1:22: channel 0: open failed: connect failed: No route to host; stdio forwarding failed'
+    );
+
+    failWith('deploy@web1: Permission denied (publickey).\nConnection closed\n');
+    await expect(checkJumpConnection(connection, dependencies)).rejects.toThrow(
+      'deploy@web1:22 failed: deploy@web1: Permission denied (publickey).; Connection closed'
+    );
+
+    expect(files['/tmp/sftp_connect_batch']).toBeUndefined();
+  });
+});
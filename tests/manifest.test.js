@@ -0,0 +1,64 @@
+const { defaultManifestPath, buildManifest, parseManifest, diffManifest } = require('../src/manifest');
+
+describe('Deployment Manifest', () => {
+  const tree = {
+    directories: ['assets'],
+    files: [
+      { localPath: 'dist/index.html', relativePath: 'index.html', size: 6 },
+      { localPath: 'dist/assets/app.js', relativePath: 'assets/app.js', size: 3 }
+    ]
+  };
+  const contents = {
+    'dist/index.html': '<html>',
+    'dist/assets/app.js': 'app'
+  };
+  const mockFs = { readFileSync: jest.fn((filePath) => Buffer.from(contents[filePath])) };
+
+  test('should place the manifest next to the remote directory', () => {
+    expect(defaultManifestPath('/var/www/html')).toBe('/var/www/html.deploy-manifest.json');
+    expect(defaultManifestPath('/var/www/html/')).toBe('/var/www/html.deploy-manifest.json');
+  });
+
+  test('should record size and content hash for every file', () => {
+    const manifest = buildManifest(tree, { fsModule: mockFs });
+
+    expect(manifest.version).toBe(1);
+    expect(manifest.directories).toEqual(['assets']);
+    expect(manifest.files['index.html']).toEqual({ size: 6, hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(manifest.files['assets/app.js'].hash).not.toBe(manifest.files['index.html'].hash);
+  });
+
+  test('should treat a missing or invalid manifest as empty', () => {
+    expect(parseManifest('')).toEqual({ version: 1, directories: [], files: {} });
+    expect(parseManifest('not json')).toEqual({ version: 1, directories: [], files: {} });
+    expect(parseManifest('{"version":99,"files":{}}')).toEqual({ version: 1, directories: [], files: {} });
+  });
+
+  test('should upload everything when the remote manifest is empty', () => {
+    const local = buildManifest(tree, { fsModule: mockFs });
+
+    const diff = diffManifest(tree, local, parseManifest(''));
+
+    expect(diff.directories).toEqual(['assets']);
+    expect(diff.files).toEqual(tree.files);
+    expect(diff.unchanged).toBe(0);
+  });
+
+  test('should only upload new or changed files', () => {
+    const local = buildManifest(tree, { fsModule: mockFs });
+    const remote = {
+      version: 1,
+      directories: ['assets'],
+      files: {
+        'index.html': { ...local.files['index.html'] },
+        'assets/app.js': { size: 3, hash: 'stale' }
+      }
+    };
+
+    const diff = diffManifest(tree, local, remote);
+
+    expect(diff.directories).toEqual([]);
+    expect(diff.files.map((file) => file.relativePath)).toEqual(['assets/app.js']);
+    expect(diff.unchanged).toBe(1);
+  });
+});
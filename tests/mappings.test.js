@@ -0,0 +1,30 @@
+const { parseMappings } = require('../src/mappings');
+
+describe('Source Mappings', () => {
+  test('should parse one local:remote pair per line', () => {
+    expect(parseMappings('dist:/var/www/html\n  config/prod : /etc/myapp  \n')).toEqual([
+      { sourceDir: 'dist', remoteDir: '/var/www/html' },
+      { sourceDir: 'config/prod', remoteDir: '/etc/myapp' }
+    ]);
+  });
+
+  test('should skip blank lines and comments', () => {
+    expect(parseMappings('# web root\ndist:/var/www/html\n\n')).toEqual([
+      { sourceDir: 'dist', remoteDir: '/var/www/html' }
+    ]);
+    expect(parseMappings('')).toEqual([]);
+    expect(parseMappings(undefined)).toEqual([]);
+  });
+
+  test('should keep Windows drive letters in the local path', () => {
+    expect(parseMappings('C:\\build\\dist:/var/www/html')).toEqual([
+      { sourceDir: 'C:\\build\\dist', remoteDir: '/var/www/html' }
+    ]);
+  });
+
+  test('should reject lines without both sides', () => {
+    expect(() => parseMappings('dist')).toThrow('Invalid mapping "dist": expected local:remote');
+    expect(() => parseMappings(':/var/www/html')).toThrow('Invalid mapping');
+    expect(() => parseMappings('dist:')).toThrow('Invalid mapping');
+  });
+});
@@ -0,0 +1,47 @@
+const { findOrphans } = require('../src/mirror');
+const { createMatcher, parsePatternList } = require('../src/patterns');
+
+describe('Mirror Mode', () => {
+  const sourceTree = {
+    directories: ['assets'],
+    files: [
+      { localPath: 'dist/index.html', relativePath: 'index.html' },
+      { localPath: 'dist/assets/app.js', relativePath: 'assets/app.js' }
+    ]
+  };
+  const remoteEntries = (entries) => new Map(entries.map(([relativePath, type]) => [relativePath, { type, size: 1 }]));
+
+  test('should parse protect globs from multi-line or comma separated input', () => {
+    expect(parsePatternList('uploads/\n.htaccess, *.log\n# comment\n\n')).toEqual(['uploads/', '.htaccess', '*.log']);
+    expect(parsePatternList(undefined)).toEqual([]);
+  });
+
+  test('should find files and directories that are not in the source tree', () => {
+    const orphans = findOrphans(remoteEntries([
+      ['index.html', 'file'],
+      ['old.html', 'file'],
+      ['assets', 'directory'],
+      ['assets/app.js', 'file'],
+      ['assets/legacy', 'directory'],
+      ['assets/legacy/deep', 'directory'],
+      ['assets/legacy/deep/old.js', 'file']
+    ]), sourceTree, createMatcher([]));
+
+    expect(orphans.files).toEqual(['old.html', 'assets/legacy/deep/old.js']);
+    expect(orphans.directories).toEqual(['assets/legacy/deep', 'assets/legacy']);
+  });
+
+  test('should never touch protected paths or the directories holding them', () => {
+    const orphans = findOrphans(remoteEntries([
+      ['.htaccess', 'file'],
+      ['uploads', 'directory'],
+      ['uploads/avatar.png', 'file'],
+      ['legacy', 'directory'],
+      ['legacy/.htaccess', 'file'],
+      ['legacy/old.js', 'file']
+    ]), sourceTree, createMatcher(['uploads/', '.htaccess']));
+
+    expect(orphans.files).toEqual(['legacy/old.js']);
+    expect(orphans.directories).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+const { parsePermissionRules, createPermissionResolver, applyPermissionRules } = require('../src/permissions');
+
+describe('Permission Rules', () => {
+  test('should parse a pattern, an octal mode and an optional group id per line', () => {
+    expect(parsePermissionRules('# writable by php\nstorage/** 0775 33\n\n  *.env 0600  \nbootstrap/cache/ - 33\n')).toEqual([
+      { pattern: 'storage/**', mode: '0775', group: '33' },
+      { pattern: '*.env', mode: '0600', group: null },
+      { pattern: 'bootstrap/cache/', mode: null, group: '33' }
+    ]);
+    expect(parsePermissionRules('')).toEqual([]);
+    expect(parsePermissionRules(undefined)).toEqual([]);
+  });
+
+  test('should reject rules sftp cannot apply', () => {
+    expect(() => parsePermissionRules('*.env rw-------')).toThrow('Invalid permission rule "*.env rw-------": expected <pattern> <octal mode> [numeric gid]');
+    expect(() => parsePermissionRules('storage/** 0775 www-data')).toThrow('Invalid permission rule');
+    expect(() => parsePermissionRules('storage/** 0985')).toThrow('Invalid permission rule');
+    expect(() => parsePermissionRules('storage/** -')).toThrow('Invalid permission rule');
+  });
+
+  test('should let later rules override earlier ones field by field', () => {
+    const resolve = createPermissionResolver(parsePermissionRules('storage/** 0775 33\nstorage/**/*.log 0664\n*.env 0600'));
+
+    expect(resolve('storage/logs', true)).toEqual({ mode: '0775', group: '33' });
+    expect(resolve('storage/logs/app.log')).toEqual({ mode: '0664', group: '33' });
+    expect(resolve('config/.env')).toEqual({ mode: '0600', group: null });
+    expect(resolve('index.php')).toBeNull();
+    expect(resolve('storage', true)).toBeNull();
+  });
+
+  test('should annotate uploaded files and list directories deepest first', () => {
+    const tree = {
+      directories: ['storage', 'storage/logs'],
+      files: [{ localPath: 'dist/.env', relativePath: '.env', size: 1 }, { localPath: 'dist/index.php', relativePath: 'index.php', size: 2 }]
+    };
+
+    const result = applyPermissionRules(tree, ['public', 'storage', 'storage/logs'], parsePermissionRules('storage/ 0775\n.env 0600'));
+
+    expect(result.tree.files).toEqual([
+      { localPath: 'dist/.env', relativePath: '.env', size: 1, mode: '0600', group: null },
+      { localPath: 'dist/index.php', relativePath: 'index.php', size: 2 }
+    ]);
+    expect(result.directoryPermissions).toEqual([
+      { path: 'storage/logs', mode: '0775', group: null },
+      { path: 'storage', mode: '0775', group: null }
+    ]);
+    expect(applyPermissionRules(tree, tree.directories, [])).toEqual({ tree, directoryPermissions: [] });
+  });
+});
@@ -0,0 +1,53 @@
+const { formatSize, buildPlanOperations, formatPlan } = require('../src/plan');
+
+describe('Dry Run Plan', () => {
+  test('should format sizes with binary units', () => {
+    expect(formatSize(0)).toBe('0 B');
+    expect(formatSize(1023)).toBe('1023 B');
+    expect(formatSize(1536)).toBe('1.5 KB');
+    expect(formatSize(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+
+  test('should list operations in batch order with absolute remote paths', () => {
+    const operations = buildPlanOperations([
+      {
+        remoteDir: '/var/www/html',
+        tree: {
+          directories: ['assets'],
+          files: [{ localPath: 'dist/assets/app.js', relativePath: 'assets/app.js', size: 10 }]
+        },
+        options: { deletions: { files: ['old.js'], directories: ['legacy'] } }
+      },
+      {
+        remoteDir: '/etc/myapp',
+        tree: { directories: [], files: [{ localPath: 'config/app.ini', relativePath: 'app.ini', size: 3 }] }
+      }
+    ]);
+
+    expect(operations).toEqual([
+      { action: 'mkdir', path: '/var/www/html' },
+      { action: 'mkdir', path: '/var/www/html/assets' },
+      { action: 'put', localPath: 'dist/assets/app.js', path: '/var/www/html/assets/app.js', size: 10 },
+      { action: 'rm', path: '/var/www/html/old.js' },
+      { action: 'rmdir', path: '/var/www/html/legacy' },
+      { action: 'mkdir', path: '/etc/myapp' },
+      { action: 'put', localPath: 'config/app.ini', path: '/etc/myapp/app.ini', size: 3 }
+    ]);
+  });
+
+  test('should print one line per operation', () => {
+    expect(formatPlan([
+      { action: 'mkdir', path: '/var/www/html' },
+      { action: 'put', localPath: 'dist/index.html', path: '/var/www/html/index.html', size: 2048 },
+      { action: 'rm', path: '/var/www/html/old.html' },
+      { action: 'symlink', path: '/var/www/current', target: '/var/www/releases/42' },
+      { action: 'run', stage: 'post-deploy', command: 'php artisan migrate --force' }
+    ])).toBe([
+      'mkdir  /var/www/html',
+      'put    dist/index.html -> /var/www/html/index.html (2.0 KB)',
+      'rm     /var/www/html/old.html',
+      'symlink /var/www/current -> /var/www/releases/42',
+      'run    php artisan migrate --force (post-deploy)'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,215 @@
+const {
+  resolveReleaseName,
+  releasePathFor,
+  checkNewRelease,
+  switchRelease,
+  pruneReleases,
+  selectReleasesToPrune,
+  buildPruneCommands,
+  inspectReleases,
+  selectRollbackTarget,
+  rollbackRelease
+} = require('../src/releases');
+
+describe('Release Directories', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn().mockResolvedValue(undefined),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  test('should name releases after the run id and attempt, then the commit SHA', () => {
+    expect(resolveReleaseName('v1.2.3', { GITHUB_RUN_ID: '42' })).toBe('v1.2.3');
+    expect(resolveReleaseName('', { GITHUB_RUN_ID: '42', GITHUB_SHA: 'abc123' })).toBe('42');
+    expect(resolveReleaseName('', { GITHUB_RUN_ID: '42', GITHUB_RUN_ATTEMPT: '1' })).toBe('42');
+    expect(resolveReleaseName('', { GITHUB_RUN_ID: '42', GITHUB_RUN_ATTEMPT: '2' })).toBe('42-2');
+    expect(resolveReleaseName('', { GITHUB_SHA: 'abc123' })).toBe('abc123');
+    expect(resolveReleaseName('', {})).toMatch(/^\d{8}T\d{6}$/);
+  });
+
+  test('should reject release names that would escape the releases directory', () => {
+    expect(() => resolveReleaseName('../etc', {})).toThrow('Invalid release name "../etc"');
+    expect(() => resolveReleaseName('..', {})).toThrow('Invalid release name');
+  });
+
+  test('should place releases under remote_dir/releases', () => {
+    expect(releasePathFor('/var/www/app/', '42')).toBe('/var/www/app/releases/42');
+  });
+
+  test('should switch the current symlink atomically', async () => {
+    await switchRelease(connection, '/var/www/app', '42', dependencies);
+
+    expect(dependencies.fsModule.promises.writeFile).toHaveBeenCalledWith(
+      '/tmp/sftp_release_batch',
+      '-rm "/var/www/app/current.tmp"\n' +
+      'symlink "releases/42" "/var/www/app/current.tmp"\n' +
+      'rename "/var/www/app/current.tmp" "/var/www/app/current"\n'
+    );
+  });
+
+  test('should fail when the switch fails', async () => {
+    dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: 'Permission denied', exitCode: 1 });
+
+    await expect(switchRelease(connection, '/var/www/app', '42', dependencies))
+      .rejects.toThrow('Failed to switch /var/www/app/current to release 42: Permission denied');
+  });
+
+  describe('Rollback', () => {
+    const releasesOutput = (current) => [
+      'sftp> -ls -lt "/var/www/app/releases"',
+      'drwxr-xr-x    5 deploy   deploy       4096 Mar  3 10:00 1003',
+      'drwxr-xr-x    5 deploy   deploy       4096 Mar  2 10:00 1002',
+      'drwxr-xr-x    5 deploy   deploy       4096 Mar  1 10:00 1001',
+      'sftp> -cd "/var/www/app/current"',
+      'sftp> pwd',
+      `Remote working directory: ${current}`
+    ].join('\n');
+
+    test('should list releases newest first and resolve the live one', async () => {
+      dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: releasesOutput('/var/www/app/releases/1003'), stderr: '', exitCode: 0 });
+
+      const inspection = await inspectReleases(connection, '/var/www/app', dependencies);
+
+      expect(inspection).toEqual({ releases: ['1003', '1002', '1001'], current: '1003' });
+    });
+
+    test('should refuse to upload into an existing release', async () => {
+      dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: releasesOutput('/var/www/app/releases/1003'), stderr: '', exitCode: 0 });
+
+      await expect(checkNewRelease(connection, '/var/www/app', '1004', dependencies)).resolves.toBe('1003');
+      await expect(checkNewRelease(connection, '/var/www/app', '1003', dependencies)).rejects.toThrow(
+        'Release 1003 already exists in /var/www/app/releases and is live: set a new release_name, or delete the old release first'
+      );
+      await expect(checkNewRelease(connection, '/var/www/app', '1001', dependencies)).rejects.toThrow('Release 1001 already exists in /var/www/app/releases:');
+    });
+
+    test('should report an unknown live release when current is missing', async () => {
+      dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: releasesOutput('/home/deploy'), stderr: '', exitCode: 0 });
+
+      const inspection = await inspectReleases(connection, '/var/www/app', dependencies);
+
+      expect(inspection.current).toBeNull();
+    });
+
+    test('should pick the release deployed before the live one', () => {
+      const releases = ['1003', '1002', '1001'];
+
+      expect(selectRollbackTarget({ releases, current: '1003' })).toBe('1002');
+      expect(selectRollbackTarget({ releases, current: '1002' })).toBe('1001');
+      expect(() => selectRollbackTarget({ releases, current: '1001' })).toThrow('No release older than 1001');
+      expect(() => selectRollbackTarget({ releases, current: null })).toThrow('Cannot tell which release is live');
+    });
+
+    test('should pick a named release', () => {
+      const releases = ['1003', '1002', '1001'];
+
+      expect(selectRollbackTarget({ releases, current: null }, '1001')).toBe('1001');
+      expect(() => selectRollbackTarget({ releases, current: '1003' }, '999')).toThrow('Release 999 not found, available releases: 1003, 1002, 1001');
+    });
+
+    test('should repoint current to the previous release', async () => {
+      dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: releasesOutput('/var/www/app/releases/1003'), stderr: '', exitCode: 0 });
+
+      const release = await rollbackRelease(connection, '/var/www/app', '', dependencies);
+
+      expect(release).toEqual({ releaseName: '1002', releasePath: '/var/www/app/releases/1002' });
+      expect(dependencies.fsModule.promises.writeFile).toHaveBeenLastCalledWith(
+        '/tmp/sftp_release_batch',
+        expect.stringContaining('symlink "releases/1002" "/var/www/app/current.tmp"')
+      );
+    });
+  });
+
+  describe('Pruning', () => {
+    test('should select all but the newest releases, never a protected one', () => {
+      const releases = ['1005', '1004', '1003', '1002', '1001'];
+
+      expect(selectReleasesToPrune(releases, 3, ['1005'])).toEqual(['1002', '1001']);
+      expect(selectReleasesToPrune(releases, 1, ['1005', '1003'])).toEqual(['1004', '1002', '1001']);
+      expect(selectReleasesToPrune(releases, 10, [])).toEqual([]);
+    });
+
+    test('should delete release contents before their directories', () => {
+      const entries = new Map([
+        ['1001/index.html', { type: 'file', size: 1 }],
+        ['1001/assets', { type: 'directory', size: 4096 }],
+        ['1001/assets/app.js', { type: 'file', size: 1 }]
+      ]);
+
+      expect(buildPruneCommands('/srv/releases', ['1001'], entries)).toEqual([
+        '-rm "/srv/releases/1001/index.html"',
+        '-rm "/srv/releases/1001/assets/app.js"',
+        '-rmdir "/srv/releases/1001/assets"',
+        '-rmdir "/srv/releases/1001"'
+      ]);
+    });
+
+    const pruneOutputs = () => [
+      // the switch itself
+      '',
+      // inspectReleases: 1003 is live now
+      [
+        'sftp> -ls -lt "/var/www/app/releases"',
+        'drwxr-xr-x    5 deploy   deploy       4096 Mar  3 10:00 1003',
+        'drwxr-xr-x    5 deploy   deploy       4096 Mar  2 10:00 1002',
+        'drwxr-xr-x    5 deploy   deploy       4096 Mar  1 10:00 1001',
+        'sftp> pwd',
+        'Remote working directory: /var/www/app/releases/1003'
+      ].join('\n'),
+      // listRemoteTree of the pruned release
+      'sftp> -ls -la "/var/www/app/releases/1001"\n-rw-r--r--    1 deploy   deploy         10 Mar  1 10:00 index.html'
+    ];
+
+    test('should prune old releases once the switch went through', async () => {
+      const outputs = pruneOutputs();
+      dependencies.execModule.getExecOutput.mockImplementation(() => Promise.resolve({ stdout: outputs.shift() || '', stderr: '', exitCode: 0 }));
+
+      const result = await switchRelease(connection, '/var/www/app', '1003', dependencies, { keepReleases: 2 });
+
+      expect(result.pruned).toEqual(['1001']);
+      expect(dependencies.fsModule.promises.writeFile).toHaveBeenNthCalledWith(1,
+        '/tmp/sftp_release_batch',
+        '-rm "/var/www/app/current.tmp"\n' +
+        'symlink "releases/1003" "/var/www/app/current.tmp"\n' +
+        'rename "/var/www/app/current.tmp" "/var/www/app/current"\n'
+      );
+      expect(dependencies.fsModule.promises.writeFile).toHaveBeenLastCalledWith(
+        '/tmp/sftp_prune_batch',
+        '-rm "/var/www/app/releases/1001/index.html"\n' +
+        '-rmdir "/var/www/app/releases/1001"\n'
+      );
+    });
+
+    test('should only warn when an old release cannot be deleted', async () => {
+      const outputs = pruneOutputs();
+      dependencies.execModule.getExecOutput.mockImplementation(() => Promise.resolve(outputs.length > 0
+        ? { stdout: outputs.shift(), stderr: '', exitCode: 0 }
+        : { stdout: '', stderr: 'Couldn\'t delete file: Permission denied\n', exitCode: 1 }));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      try {
+        await expect(switchRelease(connection, '/var/www/app', '1003', dependencies, { keepReleases: 2 })).resolves.toEqual({ pruned: ['1001'] });
+        expect(warnSpy).toHaveBeenCalledWith('Some of releases 1001 could not be deleted: Couldn\'t delete file: Permission denied');
+
+        dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: 'Connection closed', exitCode: 255 });
+        await expect(pruneReleases(connection, '/var/www/app', '1003', 2, dependencies)).resolves.toEqual([]);
+        expect(warnSpy).toHaveBeenLastCalledWith('Pruning old releases failed: Failed to list releases in /var/www/app/releases: Connection closed');
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+});
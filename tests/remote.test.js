@@ -0,0 +1,76 @@
+const { joinRemotePath, parseListingOutput, listRemoteTree } = require('../src/remote');
+
+describe('Remote Listing', () => {
+  const listing = (dir, lines) => [`sftp> -ls -la "${dir}"`, ...lines].join('\n');
+  const dirLine = (name) => `drwxr-xr-x    2 deploy   www-data     4096 Jan  1 12:00 ${name}`;
+  const fileLine = (name, size) => `-rw-r--r--    1 deploy   www-data ${String(size).padStart(8)} Mar 14  2024 ${name}`;
+
+  const dependencies = (outputs) => {
+    const execModule = {
+      getExecOutput: jest.fn(() => Promise.resolve({ stdout: outputs.shift(), stderr: '', exitCode: 0 }))
+    };
+    return {
+      execModule,
+      fsModule: {
+        promises: {
+          writeFile: jest.fn().mockResolvedValue(undefined),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  };
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+
+  test('should join remote paths', () => {
+    expect(joinRemotePath('/var/www/html', '')).toBe('/var/www/html');
+    expect(joinRemotePath('/var/www/html/', 'assets/app.js')).toBe('/var/www/html/assets/app.js');
+  });
+
+  test('should parse long listings per batch command', () => {
+    const stdout = [
+      listing('/srv', [dirLine('.'), dirLine('..'), fileLine('index.html', 120), dirLine('assets')]),
+      listing('/srv/assets', [fileLine('my file.css', 7), 'lrwxrwxrwx    1 0        0              9 Jan  1 12:00 current'])
+    ].join('\n');
+
+    expect(parseListingOutput(stdout)).toEqual([
+      [
+        { name: 'index.html', type: 'file', size: 120 },
+        { name: 'assets', type: 'directory', size: 4096 }
+      ],
+      [
+        { name: 'my file.css', type: 'file', size: 7 },
+        { name: 'current', type: 'symlink', size: 9 }
+      ]
+    ]);
+  });
+
+  test('should list a remote tree one depth level per session', async () => {
+    const deps = dependencies([
+      listing('/srv', [fileLine('index.html', 120), dirLine('assets'), dirLine('img')]),
+      [listing('/srv/assets', [fileLine('app.js', 3)]), listing('/srv/img', [])].join('\n')
+    ]);
+
+    const entries = await listRemoteTree(connection, '/srv', deps);
+
+    expect(deps.execModule.getExecOutput).toHaveBeenCalledTimes(2);
+    expect(deps.fsModule.promises.writeFile).toHaveBeenLastCalledWith(
+      '/tmp/sftp_list_batch',
+      '-ls -la "/srv/assets"\n-ls -la "/srv/img"\n'
+    );
+    expect([...entries]).toEqual([
+      ['index.html', { type: 'file', size: 120 }],
+      ['assets', { type: 'directory', size: 4096 }],
+      ['img', { type: 'directory', size: 4096 }],
+      ['assets/app.js', { type: 'file', size: 3 }]
+    ]);
+  });
+
+  test('should fail when the listing session fails', async () => {
+    const deps = dependencies([]);
+    deps.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: 'Connection refused', exitCode: 255 });
+
+    await expect(listRemoteTree(connection, '/srv', deps)).rejects.toThrow('Failed to list remote directory /srv: Connection refused');
+  });
+});
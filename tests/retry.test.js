@@ -0,0 +1,163 @@
+const {
+  isConnectionFailure,
+  backoffDelay,
+  remainingSections,
+  resumeInterrupted,
+  runBatchWithRetries
+} = require('../src/retry');
+
+describe('Transfer Retries', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  const file = (relativePath, size) => ({ localPath: `dist/${relativePath}`, relativePath, size });
+  const section = (files, deletions = { files: [], directories: [] }) => ({
+    remoteDir: '/var/www/html',
+    tree: { directories: ['assets'], files },
+    options: { parents: [], deletions }
+  });
+
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn().mockResolvedValue(undefined),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  test('should tell dropped connections from failing commands', () => {
+    expect(isConnectionFailure({ exitCode: 255, stderr: '' })).toBe(true);
+    expect(isConnectionFailure({ exitCode: 1, stderr: 'debug1: Sending subsystem: sftp\nclient_loop: send disconnect: Broken pipe\n' })).toBe(true);
+    expect(isConnectionFailure({ exitCode: 1, stderr: 'Connection to test-host closed by remote host.\n' })).toBe(true);
+    expect(isConnectionFailure({ exitCode: 1, stderr: 'remote open("/var/www/html/index.html"): Permission denied\n' })).toBe(false);
+    expect(isConnectionFailure({ exitCode: 1, stderr: 'debug1: Connection established.\n' })).toBe(false);
+  });
+
+  test('should not take failed authentication or host key checks for dropped connections', () => {
+    expect(isConnectionFailure({ exitCode: 255, stderr: 'deploy@test-host: Permission denied (publickey).\nConnection closed\n' })).toBe(false);
+    expect(isConnectionFailure({ exitCode: 255, stderr: 'Received disconnect from 10.0.0.1 port 22:2: Too many authentication failures\n' })).toBe(false);
+    expect(isConnectionFailure({ exitCode: 255, stderr: 'No ED25519 host key is known for test-host and you have requested strict checking.\nHost key verification failed.\nConnection closed\n' })).toBe(false);
+    expect(isConnectionFailure({ exitCode: 255, stderr: 'ssh: Could not resolve hostname test-host: Name or service not known\n' })).toBe(false);
+  });
+
+  test('should double the delay for every retry', () => {
+    expect([1, 2, 3, 4].map((retry) => backoffDelay(retry, 5))).toEqual([5000, 10000, 20000, 40000]);
+  });
+
+  test('should drop confirmed commands and report the interrupted upload', () => {
+    const sections = [section(
+      [file('index.html', 10), file('assets/app.js', 500), file('assets/app.css', 20)],
+      { files: ['old.html'], directories: [] }
+    )];
+    const stdout = [
+      'sftp> -mkdir /var/www/html',
+      'sftp> cd /var/www/html',
+      'sftp> -mkdir "assets"',
+      'sftp> put "dist/index.html" "index.html"',
+      'Uploading dist/index.html to /var/www/html/index.html',
+      'sftp> put "dist/assets/app.js" "assets/app.js"',
+      'Uploading dist/assets/app.js to /var/www/html/assets/app.js'
+    ].join('\n');
+
+    const { sections: remaining, interrupted } = remainingSections(sections, stdout);
+
+    expect(remaining[0].tree.files.map((f) => f.relativePath)).toEqual(['assets/app.js', 'assets/app.css']);
+    expect(remaining[0].tree.directories).toEqual(['assets']);
+    expect(remaining[0].options.deletions).toEqual({ files: ['old.html'], directories: [] });
+    expect(interrupted).toEqual({ remoteDir: '/var/www/html', file: sections[0].tree.files[1] });
+  });
+
+  test('should treat an interrupted deletion as done', () => {
+    const sections = [section([file('index.html', 10)], { files: ['a.html', 'b.html'], directories: ['legacy'] })];
+    const stdout = 'sftp> put "dist/index.html" "index.html"\nsftp> rm "a.html"\n';
+
+    const { sections: remaining, interrupted } = remainingSections(sections, stdout);
+
+    expect(remaining[0].tree.files).toEqual([]);
+    expect(remaining[0].options.deletions).toEqual({ files: ['b.html'], directories: ['legacy'] });
+    expect(interrupted).toBeNull();
+  });
+
+  test('should send a file again when its permissions were not applied', () => {
+    const secret = { ...file('.env', 10), mode: '0600' };
+    const sections = [section([secret, file('index.html', 20)])];
+    const stdout = 'sftp> put "dist/.env" ".env"\nsftp> chmod 0600 ".env"\n';
+
+    expect(remainingSections(sections, stdout).sections[0].tree.files).toEqual([secret, file('index.html', 20)]);
+    expect(remainingSections(sections, `${stdout}sftp> put "dist/index.html" "index.html"\n`).sections[0].tree.files).toEqual([file('index.html', 20)]);
+  });
+
+  test('should resume a partially written file with reput', async () => {
+    const partial = file('assets/app.js', 500);
+    dependencies.execModule.getExecOutput.mockResolvedValue({
+      stdout: 'sftp> -ls -l "/var/www/html/assets/app.js"\n-rw-r--r--    1 deploy   www        200 Jan  1 12:00 /var/www/html/assets/app.js\n',
+      stderr: '',
+      exitCode: 0
+    });
+
+    const sections = await resumeInterrupted(connection, [section([partial, file('b.css', 5)])], { remoteDir: '/var/www/html', file: partial }, {}, dependencies);
+
+    expect(dependencies.fsModule.promises.writeFile).toHaveBeenCalledWith('/tmp/sftp_batch_resume', '-ls -l "/var/www/html/assets/app.js"\n');
+    expect(sections[0].tree.files).toEqual([{ ...partial, resume: true }, file('b.css', 5)]);
+  });
+
+  test('should skip a file that was completely written and re-send a missing one', async () => {
+    const complete = file('assets/app.js', 200);
+    dependencies.execModule.getExecOutput.mockResolvedValue({
+      stdout: 'sftp> -ls -l "/var/www/html/assets/app.js"\n-rw-r--r--    1 deploy   www        200 Jan  1 12:00 /var/www/html/assets/app.js\n',
+      stderr: '',
+      exitCode: 0
+    });
+    const skipped = await resumeInterrupted(connection, [section([complete])], { remoteDir: '/var/www/html', file: complete }, {}, dependencies);
+    expect(skipped[0].tree.files).toEqual([]);
+
+    dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: 'not found', exitCode: 1 });
+    const resent = await resumeInterrupted(connection, [section([complete])], { remoteDir: '/var/www/html', file: complete }, {}, dependencies);
+    expect(resent[0].tree.files).toEqual([complete]);
+  });
+
+  test('should retry a dropped session with what is left of the batch', async () => {
+    const runBatch = jest.fn()
+      .mockResolvedValueOnce({
+        stdout: 'sftp> -mkdir /var/www/html\nsftp> cd /var/www/html\nsftp> -mkdir "assets"\nsftp> put "dist/index.html" "index.html"\n',
+        stderr: 'Connection reset by peer\n',
+        exitCode: 255
+      })
+      .mockResolvedValueOnce({ stdout: '', stderr: '', exitCode: 0 });
+    // Nothing arrived of the interrupted file
+    dependencies.execModule.getExecOutput.mockResolvedValue({ stdout: '', stderr: '', exitCode: 1 });
+
+    const result = await runBatchWithRetries(connection, [section([file('index.html', 10), file('about.html', 20)])], runBatch, { retries: 2, retryDelay: 0, batchName: 'sftp_batch_2' }, dependencies);
+
+    expect(result.exitCode).toBe(0);
+    expect(runBatch).toHaveBeenCalledTimes(2);
+    // Parallel sessions each look up their own interrupted file
+    expect(dependencies.fsModule.promises.writeFile).toHaveBeenCalledWith('/tmp/sftp_batch_2_resume', '-ls -l "/var/www/html/index.html"\n');
+    expect(runBatch.mock.calls[1][0]).toBe('-mkdir /var/www/html\ncd /var/www/html\n-mkdir "assets"\nput "dist/index.html" "index.html"\nput "dist/about.html" "about.html"\n');
+  });
+
+  test('should give up after the configured retries or on other failures', async () => {
+    const dropped = { stdout: '', stderr: 'Connection timed out\n', exitCode: 255 };
+    const runBatch = jest.fn().mockResolvedValue(dropped);
+    expect(await runBatchWithRetries(connection, [section([])], runBatch, { retries: 2, retryDelay: 0 }, dependencies)).toBe(dropped);
+    expect(runBatch).toHaveBeenCalledTimes(3);
+
+    const denied = { stdout: '', stderr: 'Permission denied\n', exitCode: 1 };
+    const failing = jest.fn().mockResolvedValue(denied);
+    expect(await runBatchWithRetries(connection, [section([])], failing, { retries: 2, retryDelay: 0 }, dependencies)).toBe(denied);
+    expect(failing).toHaveBeenCalledTimes(1);
+
+    const rejected = { stdout: '', stderr: 'deploy@test-host: Permission denied (publickey).\nConnection closed\n', exitCode: 255 };
+    const unauthorized = jest.fn().mockResolvedValue(rejected);
+    expect(await runBatchWithRetries(connection, [section([])], unauthorized, { retries: 5, retryDelay: 5 }, dependencies)).toBe(rejected);
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+  });
+});
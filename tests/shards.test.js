@@ -0,0 +1,79 @@
+const { splitIntoShards, runShardedTransfer } = require('../src/shards');
+
+describe('Parallel Transfers', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  let batches;
+  let dependencies;
+
+  beforeEach(() => {
+    batches = {};
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 })
+      },
+      fsModule: {
+        promises: {
+          writeFile: jest.fn((filePath, content) => {
+            batches[filePath] = content;
+            return Promise.resolve();
+          }),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  const file = (relativePath, size) => ({ localPath: `dist/${relativePath}`, relativePath, size });
+
+  test('should balance shards by total size', () => {
+    const shards = splitIntoShards([
+      file('a', 10), file('b', 70), file('c', 30), file('d', 40), file('e', 50)
+    ], 2);
+
+    expect(shards.map((shard) => shard.bytes)).toEqual([100, 100]);
+    expect(shards[0].files.map((f) => f.relativePath)).toEqual(['b', 'c']);
+    expect(shards[1].files.map((f) => f.relativePath)).toEqual(['e', 'd', 'a']);
+  });
+
+  test('should not create empty shards', () => {
+    expect(splitIntoShards([file('a', 1)], 4)).toHaveLength(1);
+  });
+
+  test('should create directories, upload shards in parallel, then delete orphans', async () => {
+    const sections = [{
+      remoteDir: '/var/www/html',
+      tree: { directories: ['assets'], files: [file('index.html', 100), file('assets/app.js', 90)] },
+      options: { parents: [], deletions: { files: ['old.html'], directories: [] } }
+    }];
+
+    const report = await runShardedTransfer(connection, sections, 2, dependencies);
+
+    expect(report).toEqual([
+      { shard: 1, files: 1, bytes: 100, ok: true, error: null },
+      { shard: 2, files: 1, bytes: 90, ok: true, error: null }
+    ]);
+    expect(batches['/tmp/sftp_batch_dirs']).toBe('-mkdir /var/www/html\ncd /var/www/html\n-mkdir "assets"\n');
+    expect(batches['/tmp/sftp_batch_1']).toBe('-mkdir /var/www/html\ncd /var/www/html\nput "dist/index.html" "index.html"\n');
+    expect(batches['/tmp/sftp_batch_2']).toBe('-mkdir /var/www/html\ncd /var/www/html\nput "dist/assets/app.js" "assets/app.js"\n');
+    expect(batches['/tmp/sftp_batch_deletions']).toBe('-mkdir /var/www/html\ncd /var/www/html\nrm "old.html"\n');
+  });
+
+  test('should merge shard failures into one error and skip deletions', async () => {
+    dependencies.execModule.getExecOutput.mockImplementation((command) => Promise.resolve(
+      command.includes('sftp_batch_2')
+        ? { stdout: '', stderr: 'Connection reset by peer\n', exitCode: 255 }
+        : { stdout: '', stderr: '', exitCode: 0 }
+    ));
+    const sections = [{
+      remoteDir: '/var/www/html',
+      tree: { directories: [], files: [file('a', 2), file('b', 1)] },
+      options: { deletions: { files: ['old.html'], directories: [] } }
+    }];
+
+    await expect(runShardedTransfer(connection, sections, 2, dependencies))
+      .rejects.toThrow('1 of 2 transfer shards failed: shard 2: Connection reset by peer');
+    expect(batches['/tmp/sftp_batch_deletions']).toBeUndefined();
+  });
+});
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const {
+  compareWithListing,
+  buildChecksumScript,
+  parseChecksumOutput,
+  verifyUpload
+} = require('../src/verify');
+
+describe('Upload Verification', () => {
+  const connection = { host: 'test-host', port: '22', username: 'test-user', identityFile: '/tmp/deploy_identity' };
+  const fileLine = (name, size) => `-rw-r--r--    1 deploy   www-data ${String(size).padStart(8)} Mar 14  2024 ${name}`;
+  const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+  const sections = [{
+    remoteDir: '/var/www/html',
+    tree: {
+      directories: [],
+      files: [
+        { localPath: 'dist/index.html', relativePath: 'index.html', size: 5 },
+        { localPath: 'dist/app.js', relativePath: 'app.js', size: 3 }
+      ]
+    },
+    options: {}
+  }];
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = {
+      execModule: {
+        getExecOutput: jest.fn((command) => Promise.resolve({
+          stdout: command === 'ssh'
+            ? `${sha256('hello')}  index.html\n${sha256('js!')}  app.js\n`
+            : ['sftp> -ls -la "/var/www/html"', fileLine('index.html', 5), fileLine('app.js', 3)].join('\n'),
+          stderr: '',
+          exitCode: 0
+        }))
+      },
+      fsModule: {
+        readFileSync: jest.fn((localPath) => Buffer.from(localPath === 'dist/index.html' ? 'hello' : 'js!')),
+        promises: {
+          writeFile: jest.fn().mockResolvedValue(undefined),
+          unlink: jest.fn().mockResolvedValue(undefined)
+        }
+      },
+      osModule: { tmpdir: () => '/tmp' },
+      pathModule: { join: (...args) => args.join('/') }
+    };
+  });
+
+  test('should report missing, truncated and replaced files', () => {
+    const remoteEntries = new Map([
+      ['index.html', { type: 'file', size: 2 }],
+      ['assets', { type: 'directory', size: 4096 }]
+    ]);
+
+    expect(compareWithListing([
+      { relativePath: 'index.html', size: 5 },
+      { relativePath: 'app.js', size: 3 },
+      { relativePath: 'assets', size: 10 }
+    ], remoteEntries)).toEqual([
+      { path: 'index.html', problem: '2 bytes, expected 5' },
+      { path: 'app.js', problem: 'missing' },
+      { path: 'assets', problem: 'directory instead of a file' }
+    ]);
+  });
+
+  test('should hash files in batches and read the hashes in order', () => {
+    const paths = Array.from({ length: 150 }, (_value, index) => `file ${index}.txt`);
+    const script = buildChecksumScript('/var/www/html', paths);
+
+    expect(script).toContain("cd '/var/www/html'");
+    expect(script.split('\n').filter((line) => line.startsWith('$hash -- '))).toHaveLength(2);
+    expect(script).toContain("'file 149.txt'");
+
+    const hash = 'a'.repeat(64);
+    expect(parseChecksumOutput(`${hash}  index.html\n\\${hash}  odd\\nname\nsha256sum: x: No such file\n`)).toEqual([hash, hash]);
+  });
+
+  test('should pass when sizes and checksums match', async () => {
+    await expect(verifyUpload(connection, sections, { mode: 'checksum' }, dependencies)).resolves.toBeUndefined();
+    expect(dependencies.execModule.getExecOutput.mock.calls.map(([command]) => command.split(' ')[0])).toEqual(['sftp', 'ssh']);
+  });
+
+  test('should only list the remote directory when checking sizes', async () => {
+    await verifyUpload(connection, sections, { mode: 'size' }, dependencies);
+    expect(dependencies.execModule.getExecOutput).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail with every mismatching file', async () => {
+    dependencies.fsModule.readFileSync.mockReturnValue(Buffer.from('other'));
+
+    await expect(verifyUpload(connection, sections, { mode: 'checksum' }, dependencies)).rejects.toThrow(
+      `Verification failed for 2 of 2 uploaded files:\n  /var/www/html: index.html: checksum ${sha256('hello').slice(0, 12)}, expected ${sha256('other').slice(0, 12)}`
+    );
+  });
+});